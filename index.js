@@ -1,3 +1,14 @@
 const Client = require('./src/client');
 
-module.exports = Client;
\ No newline at end of file
+Client.CircuitBreaker = require('./src/circuit-breaker');
+Client.ConcurrencyLimit = require('./src/concurrency-limit');
+Client.FallbackLimiter = require('./src/fallback');
+Client.headers = require('./src/headers');
+Client.middleware = require('./src/middleware');
+Client.Pool = require('./src/pool');
+Client.prometheus = require('./src/prometheus');
+Client.Reconnect = require('./src/reconnect');
+Client.Shadow = require('./src/shadow');
+Client.Sharded = require('./src/sharded');
+
+module.exports = Client;
@@ -0,0 +1,206 @@
+'use strict';
+
+const Errors = require('./errors');
+const EventEmitter = require('events').EventEmitter;
+
+function defaultIfUndefined(val, defaultVal) {
+  return val !== undefined ? val : defaultVal;
+}
+
+const CLOSED = 'closed';
+const OPEN = 'open';
+const HALF_OPEN = 'halfOpen';
+
+/** Default failure test: the server was unreachable, slow or misbehaving. */
+function defaultIsFailure(err) {
+  return err instanceof Errors.TimeoutError ||
+    err instanceof Errors.DisconnectedError ||
+    err instanceof Errors.BadResponseError ||
+    err instanceof Errors.ProtocolDesyncError ||
+    err instanceof Errors.ServerError;
+}
+
+/**
+ * Circuit breaker.
+ *
+ * While `closed`, outcomes are counted in a rolling window. Once the window
+ * holds at least `minRequests` outcomes and the failure rate reaches
+ * `failureThreshold`, the breaker `open`s and rejects all requests for
+ * `openMillis`. It then becomes `halfOpen` and lets up to
+ * `halfOpenMaxProbes` probe requests through: a successful probe closes
+ * the breaker again, a failed probe reopens it.
+ *
+ * A `stateChange` event is emitted with `{ state, previousState }` on every
+ * transition.
+ */
+class CircuitBreaker extends EventEmitter {
+
+  /**
+   * Constructor.
+   *
+   * @param  {number} options.windowMillis  length of the rolling window (default 10000)
+   * @param  {number} options.numBuckets  number of buckets the window is divided into
+   *     (default 10)
+   * @param  {number} options.minRequests  minimum number of outcomes in the window
+   *     before the breaker may open (default 20)
+   * @param  {number} options.failureThreshold  failure rate, between 0 and 1, at which
+   *     the breaker opens (default 0.5)
+   * @param  {number} options.openMillis  how long to stay open before probing
+   *     (default 5000)
+   * @param  {number} options.halfOpenMaxProbes  number of concurrent probe requests
+   *     allowed while half-open (default 1)
+   * @param  {function} options.isFailure  returns true if an error counts as a failure
+   *     (default: timeouts, disconnects, bad responses, desyncs and server errors);
+   *     aborted requests, exceeded deadlines and backlog drops are never recorded
+   * @param  {object} options.defaultDecision  when set, the client resolves hits with
+   *     this result while the breaker is open, instead of rejecting them with
+   *     `CircuitOpenError`
+   * @param  {function} options.now  clock returning millis (default `Date.now`)
+   */
+  constructor(options) {
+    super();
+
+    options = options || {};
+
+    this.windowMillis = defaultIfUndefined(options.windowMillis, 10000);
+    this.numBuckets = defaultIfUndefined(options.numBuckets, 10);
+    this.minRequests = defaultIfUndefined(options.minRequests, 20);
+    this.failureThreshold = defaultIfUndefined(options.failureThreshold, 0.5);
+    this.openMillis = defaultIfUndefined(options.openMillis, 5000);
+    this.halfOpenMaxProbes = defaultIfUndefined(options.halfOpenMaxProbes, 1);
+    this.isFailure = options.isFailure || defaultIsFailure;
+    this.defaultDecision = options.defaultDecision || null;
+    this.now = options.now || Date.now;
+
+    this.bucketMillis = this.windowMillis / this.numBuckets;
+
+    this._state = CLOSED;
+    this.openedAtMillis = null;
+    this.probesInFlight = 0;
+
+    // Rolling window of `{ startMillis, successes, failures }`, oldest first.
+    this.buckets = [];
+  }
+
+  /** The current state: 'closed', 'open' or 'halfOpen'. */
+  get state() {
+    if (this._state === OPEN && this.now() - this.openedAtMillis >= this.openMillis) {
+      this._transition(HALF_OPEN);
+    }
+    return this._state;
+  }
+
+  /**
+   * Returns true if a request may be made now. While half-open, each `true`
+   * result reserves a probe, which must be released by calling `onSuccess()`,
+   * `onFailure()` or `release()`.
+   */
+  allowRequest() {
+    const state = this.state;
+    if (state === CLOSED) {
+      return true;
+    } else if (state === HALF_OPEN && this.probesInFlight < this.halfOpenMaxProbes) {
+      this.probesInFlight++;
+      return true;
+    }
+    return false;
+  }
+
+  /** Records a successful request. */
+  onSuccess() {
+    if (this._state === HALF_OPEN) {
+      this._transition(CLOSED);
+    } else if (this._state === CLOSED) {
+      this._currentBucket().successes++;
+    }
+  }
+
+  /** Records a failed request. */
+  onFailure() {
+    if (this._state === HALF_OPEN) {
+      this._open();
+    } else if (this._state === CLOSED) {
+      this._currentBucket().failures++;
+      if (this._shouldOpen()) {
+        this._open();
+      }
+    }
+  }
+
+  /** Releases a half-open probe without recording an outcome. */
+  release() {
+    if (this._state === HALF_OPEN && this.probesInFlight > 0) {
+      this.probesInFlight--;
+    }
+  }
+
+  /**
+   * Records the outcome of a request that failed with `err`. Aborted
+   * requests, requests past a caller-supplied deadline and requests dropped
+   * from the backlog before being sent say nothing about the server, so
+   * they are not recorded.
+   */
+  onError(err) {
+    if (err instanceof Errors.AbortError || err instanceof Errors.DeadlineExceededError ||
+        err instanceof Errors.BacklogError) {
+      this.release();
+    } else if (this.isFailure(err)) {
+      this.onFailure();
+    } else {
+      this.onSuccess();
+    }
+  }
+
+  _shouldOpen() {
+    let successes = 0;
+    let failures = 0;
+    this.buckets.forEach((bucket) => {
+      successes += bucket.successes;
+      failures += bucket.failures;
+    });
+
+    const total = successes + failures;
+    return total >= this.minRequests && failures / total >= this.failureThreshold;
+  }
+
+  _open() {
+    this.openedAtMillis = this.now();
+    this._transition(OPEN);
+  }
+
+  _transition(state) {
+    const previousState = this._state;
+    if (state === previousState) {
+      return;
+    }
+    this._state = state;
+    this.probesInFlight = 0;
+    this.buckets = [];
+    this.emit('stateChange', { state: state, previousState: previousState });
+  }
+
+  /** Returns the bucket for the current time, dropping expired buckets. */
+  _currentBucket() {
+    const now = this.now();
+    const startMillis = now - now % this.bucketMillis;
+
+    while (this.buckets.length &&
+        this.buckets[0].startMillis <= now - this.windowMillis) {
+      this.buckets.shift();
+    }
+
+    let bucket = this.buckets[this.buckets.length - 1];
+    if (!bucket || bucket.startMillis !== startMillis) {
+      bucket = { startMillis: startMillis, successes: 0, failures: 0 };
+      this.buckets.push(bucket);
+    }
+    return bucket;
+  }
+
+}
+
+CircuitBreaker.CLOSED = CLOSED;
+CircuitBreaker.OPEN = OPEN;
+CircuitBreaker.HALF_OPEN = HALF_OPEN;
+
+module.exports = CircuitBreaker;
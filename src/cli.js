@@ -0,0 +1,239 @@
+'use strict';
+
+const readline = require('readline');
+const Client = require('./client');
+
+const EXIT_ALLOWED = 0;
+const EXIT_DENIED = 1;
+const EXIT_ERROR = 2;
+
+const USAGE = `Usage:
+  divvy hit [options] key=value ...
+  divvy repl [options]
+
+Options:
+  --host HOST       server hostname (default localhost)
+  --port PORT       server port (default 8321)
+  --timeout MILLIS  command timeout (default 1000)
+  --encoding NAME   operation encoding: strict, escape, percent or hash (default strict)
+  --json            print results as JSON
+  --repeat N        make each hit N times, e.g. to drain a bucket (default 1)
+  --help            print this message
+
+Exits with 0 if all hits were allowed, 1 if any was denied, and 2 on errors.
+
+In the REPL, each line is a hit: [hit] [--json] [--repeat N] key=value ...
+Type "help" for this message and "quit" to exit.
+`;
+
+function parsePositiveInteger(val) {
+  const num = /^\d+$/.test(val) ? parseInt(val, 10) : NaN;
+  if (isNaN(num) || num < 1) {
+    throw new Error(`Expected a positive integer, got "${val}"`);
+  }
+  return num;
+}
+
+// Options taking a value, and how to parse it.
+const VALUE_OPTIONS = {
+  host: (val) => val,
+  port: parsePositiveInteger,
+  timeout: parsePositiveInteger,
+  encoding: (val) => val,
+  repeat: parsePositiveInteger
+};
+
+// Options without a value.
+const FLAG_OPTIONS = ['json', 'help'];
+
+/**
+ * Parses command-line arguments.
+ *
+ * @param  {string[]} argv  the arguments, without the node and script paths
+ * @return {object}  `{ command, options, operation }`; throws an Error with a
+ *     usage message for invalid arguments
+ */
+function parseArgs(argv) {
+  const result = {
+    command: null,
+    options: { repeat: 1 },
+    operation: {}
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const optionMatch = /^--([a-z]+)$/.exec(arg);
+
+    if (optionMatch && VALUE_OPTIONS[optionMatch[1]]) {
+      if (i + 1 >= argv.length) {
+        throw new Error(`Missing value for ${arg}`);
+      }
+      result.options[optionMatch[1]] = VALUE_OPTIONS[optionMatch[1]](argv[++i]);
+    } else if (optionMatch && FLAG_OPTIONS.indexOf(optionMatch[1]) >= 0) {
+      result.options[optionMatch[1]] = true;
+    } else if (arg.indexOf('--') === 0) {
+      throw new Error(`Unknown option: ${arg}`);
+    } else if (arg.indexOf('=') > 0) {
+      const index = arg.indexOf('=');
+      result.operation[arg.slice(0, index)] = arg.slice(index + 1);
+    } else if (result.command === null) {
+      result.command = arg;
+    } else {
+      throw new Error(`Expected key=value, got "${arg}"`);
+    }
+  }
+
+  return result;
+}
+
+/** Formats a hit result as a line of text. */
+function formatResult(result, json) {
+  if (json) {
+    return JSON.stringify(result);
+  }
+  const decision = result.isAllowed ? 'allowed' : 'denied';
+  return `${decision} currentCredit=${result.currentCredit} ` +
+    `nextResetSeconds=${result.nextResetSeconds}`;
+}
+
+/**
+ * Hits `operation` `options.repeat` times in sequence, printing each result.
+ * Resolves with the exit code.
+ */
+function runHits(client, operation, options, io) {
+  let exitCode = EXIT_ALLOWED;
+  let promise = Promise.resolve();
+
+  const hitOnce = () => client.hit(operation, options.timeout).then((result) => {
+    io.stdout.write(`${formatResult(result, options.json)}\n`);
+    if (!result.isAllowed) {
+      exitCode = EXIT_DENIED;
+    }
+  });
+
+  for (let i = 0; i < options.repeat; i++) {
+    promise = promise.then(hitOnce);
+  }
+
+  return promise.then(() => exitCode, (err) => {
+    io.stderr.write(`Error: ${err.message}\n`);
+    return EXIT_ERROR;
+  });
+}
+
+/** Reads hits from `io.stdin` until it ends or "quit" is typed. */
+function runRepl(client, options, io) {
+  return new Promise((resolve) => {
+    const rl = readline.createInterface({
+      input: io.stdin,
+      output: io.stdout,
+      terminal: !!io.stdin.isTTY
+    });
+
+    // Lines are handled one at a time, in order.
+    let pending = Promise.resolve();
+
+    const handleLine = (line) => {
+      const argv = line.trim().split(/\s+/).filter((arg) => arg);
+      if (!argv.length) {
+        return Promise.resolve();
+      } else if (argv[0] === 'quit' || argv[0] === 'exit') {
+        rl.close();
+        return Promise.resolve();
+      } else if (argv[0] === 'help') {
+        io.stdout.write(USAGE);
+        return Promise.resolve();
+      }
+
+      let parsed;
+      try {
+        parsed = parseArgs(argv);
+        if (parsed.command !== null && parsed.command !== 'hit') {
+          throw new Error(`Unknown command: ${parsed.command}`);
+        }
+      } catch (err) {
+        io.stderr.write(`Error: ${err.message}\n`);
+        return Promise.resolve();
+      }
+
+      const lineOptions = Object.assign({}, options, parsed.options);
+      return runHits(client, parsed.operation, lineOptions, io);
+    };
+
+    let closed = false;
+    const prompt = () => {
+      if (!closed) {
+        rl.prompt();
+      }
+    };
+
+    rl.setPrompt('divvy> ');
+    rl.on('line', (line) => {
+      pending = pending.then(() => handleLine(line)).then(prompt);
+    });
+    rl.on('close', () => {
+      closed = true;
+      pending.then(() => resolve(EXIT_ALLOWED));
+    });
+    rl.prompt();
+  });
+}
+
+/**
+ * Runs the `divvy` command.
+ *
+ * @param  {string[]} argv  the arguments, without the node and script paths
+ * @param  {object} io  `{ stdin, stdout, stderr }` streams (default `process`)
+ * @return {Promise}  resolved with the exit code
+ */
+function main(argv, io) {
+  io = io || process;
+
+  let parsed;
+  try {
+    parsed = parseArgs(argv);
+    if (parsed.options.help) {
+      io.stdout.write(USAGE);
+      return Promise.resolve(EXIT_ALLOWED);
+    } else if (parsed.command !== 'hit' && parsed.command !== 'repl') {
+      throw new Error(parsed.command === null ?
+        'Missing command' : `Unknown command: ${parsed.command}`);
+    }
+  } catch (err) {
+    io.stderr.write(`Error: ${err.message}\n\n${USAGE}`);
+    return Promise.resolve(EXIT_ERROR);
+  }
+
+  const options = parsed.options;
+  let client;
+  try {
+    client = new Client(options.host, options.port, {
+      autoReconnect: false,
+      defaultCommandTimeoutMillis: options.timeout,
+      operationEncoding: options.encoding
+    });
+  } catch (err) {
+    io.stderr.write(`Error: ${err.message}\n`);
+    return Promise.resolve(EXIT_ERROR);
+  }
+
+  // Connection errors are reported through the rejected hits.
+  client.on('error', () => {});
+
+  const promise = parsed.command === 'repl' ?
+    runRepl(client, options, io) : runHits(client, parsed.operation, options, io);
+
+  return promise.then((exitCode) => {
+    client.close();
+    return exitCode;
+  });
+}
+
+module.exports = {
+  main: main,
+  parseArgs: parseArgs,
+  formatResult: formatResult,
+  EXIT_ALLOWED: EXIT_ALLOWED,
+  EXIT_DENIED: EXIT_DENIED,
+  EXIT_ERROR: EXIT_ERROR
+};
@@ -1,8 +1,17 @@
 'use strict';
 
 const carrier = require('carrier');
+const CircuitBreaker = require('./circuit-breaker');
+const Config = require('./config');
 const net = require('net');
+const DenyCache = require('./deny-cache');
 const Errors = require('./errors');
+const FallbackLimiter = require('./fallback');
+const Logger = require('./logger');
+const Reconnect = require('./reconnect');
+const Stats = require('./stats');
+const StubRule = require('./stub-rule');
+const tls = require('tls');
 const util = require('./util');
 const EventEmitter = require('events').EventEmitter;
 
@@ -10,6 +19,36 @@ function defaultIfUndefined(val, defaultVal) {
   return val !== undefined ? val : defaultVal;
 }
 
+const INTEGER_RE = /^-?\d+$/;
+
+// Error classes for known `ERR` codes; other codes become `ServerError`.
+const ERROR_CODES = {
+  'invalid-operation': Errors.InvalidOperationError,
+  'bad-operation': Errors.InvalidOperationError
+};
+
+/** Returns the `HIT` command for an operation string. */
+function hitMessage(operStr) {
+  return operStr ? `HIT ${operStr}\n` : 'HIT\n';
+}
+
+/**
+ * Returns the error `hitMany()` rejects with unless `operations` is a
+ * non-empty array, or null if it is one.
+ */
+function operationListError(operations) {
+  if (!Array.isArray(operations) || !operations.length) {
+    return new Errors.InvalidOperationError('hitMany() requires a non-empty array of operations.');
+  }
+  return null;
+}
+
+/** Returns true if `err` means the server did not answer in time. */
+function isServerTimeout(err) {
+  // Deadlines are set by the caller, so they say nothing about the server.
+  return err instanceof Errors.TimeoutError && !(err instanceof Errors.DeadlineExceededError);
+}
+
 /**
  * Basic Divvy protocol client.
  *
@@ -20,6 +59,67 @@ function defaultIfUndefined(val, defaultVal) {
  * If a command is called while the client is disconnected, the command
  * will be enqueued and the client will be connected.
  *
+ * Transports: The client connects over TCP to `host` and `port`, or to the
+ * Unix domain socket at `options.path`, optionally over TLS when
+ * `options.tls` is set. Reconnection and events are the same for all.
+ *
+ * Reconnection: When the connection is unexpectedly closed and
+ * `options.autoReconnect` is set, the client reconnects with delays given by
+ * `options.reconnectStrategy` (see `reconnect.js`). A `reconnecting` event
+ * is emitted with `{ attempt, delayMillis }` before each attempt, and
+ * `reconnectFailed` with `{ attempts }` when the strategy gives up. With
+ * `options.retainUnsentOnDisconnect`, hits not yet written to the socket
+ * stay queued across reconnects, until their own timeout.
+ *
+ * Fallback: When `options.fallback` is given, hits made while the connection
+ * is down (or the circuit breaker is open) are answered by a local
+ * `FallbackLimiter` instead of failing, until the client is connected again.
+ *
+ * Circuit breaking: When `options.circuitBreaker` is given, hits fail fast
+ * with `CircuitOpenError` (or resolve with the breaker's `defaultDecision`)
+ * while the breaker is open. Breaker transitions are re-emitted as
+ * `circuitStateChange` events with `{ state, previousState }`.
+ *
+ * Deny cache: When `options.denyCache` is set, denials are remembered and
+ * repeated locally until the bucket's reset time, without asking the server.
+ *
+ * Backlog: At most `options.maxPendingRequests` requests may be outstanding.
+ * `options.overflowPolicy` decides what happens to hits beyond that: they
+ * are rejected with `BacklogError` ('reject'), replace the oldest request not
+ * yet sent ('dropOldest'), wait up to `options.overflowWaitMillis` for room
+ * ('wait'), or resolve with `options.overflowDefaultDecision`
+ * ('defaultDecision'). When `options.concurrencyLimit` is given (see
+ * `concurrency-limit.js`), the limit adapts to the latency the client sees,
+ * up to `options.maxPendingRequests`.
+ *
+ * Health checks: To detect connections silently dropped by the network,
+ * `options.keepAlive` enables TCP keepalive, `options.healthCheckIdleMillis`
+ * sends a probe hit whenever the connection has been idle that long, and
+ * `options.maxConsecutiveTimeouts` bounds how many requests in a row may
+ * time out. When a probe times out or the bound is reached, an `unhealthy`
+ * event is emitted with `{ reason }` and the connection is reset, as if
+ * the server had closed it.
+ *
+ * Shutdown: `drain()` stops accepting hits, rejecting new ones with
+ * `DrainingError`, and closes the connection once outstanding hits are
+ * answered.
+ *
+ * Protocol errors: Responses are matched to requests in order. When a
+ * malformed or unexpected response line makes that matching untrustworthy,
+ * a `protocolError` event is emitted with a `ProtocolDesyncError`, all
+ * in-flight requests are rejected with `ProtocolDesyncError` (the request
+ * the malformed line answered, with `BadResponseError`), and the connection
+ * is reset.
+ *
+ * Logging: Connection events are logged to `options.logger`. With
+ * `options.traceWire`, every command sent and line received is also logged
+ * at debug level, with operation values redacted by `options.redact`.
+ *
+ * Configuration: Option values are validated up front, and invalid ones
+ * throw `ConfigurationError`. `Client.fromUrl()` and `Client.fromEnv()`
+ * create clients from a connection string or environment variables (see
+ * `config.js`).
+ *
  * Timeouts:
  */
 class Client extends EventEmitter {
@@ -28,7 +128,12 @@ class Client extends EventEmitter {
    * Constructor.
    *
    * @param  {string} host    server hostname
-   * @param  {number} port    server port number
+   * @param  {number} port    server port number, or a numeric string (default 8321)
+   * @param  {string} options.path  path of a Unix domain socket to connect to instead of
+   *     `host` and `port` (default none)
+   * @param  {boolean|object} options.tls  when set, connect over TLS; an object is passed
+   *     as options to `tls.connect()`, e.g. `{ ca, cert, key, servername }`
+   *     (default false)
    * @param  {boolean} options.autoReconnect  whether to automatically reconnect when the
    *     server connection is unexpectedly closed (default true)
    * @param  {number} options.defaultCommandTimeoutMillis  default timeout for commands, or
@@ -38,20 +143,77 @@ class Client extends EventEmitter {
    *     limit will be dropped. (default 100)
    * @param  {number} options.maxReconnectAttempts  when `options.autoReconnect` is true,
    *     maximum number of consecutive `connect()` attempts the client will automatically
-   *     make before giving up
+   *     make before giving up; ignored when `options.reconnectStrategy` is given
+   * @param  {object} options.reconnectStrategy  strategy giving the delay before each
+   *     automatic reconnect attempt (see `reconnect.js`); by default, a fixed delay of
+   *     `options.throttleConnectTimeoutMillis` (or none, if `options.throttleConnect`
+   *     is false) for up to `options.maxReconnectAttempts` attempts
    * @param  {boolean} options.throttleConnect  whether to throttle calls to `connect()`
    *     such that they will not be attempted more than once every
    *     `options.throttleConnectTimeoutMillis` (default true)
    * @param  {boolean} options.throttleConnectTimeoutMillis  when `throttleConnect` is
    *     `true`, enforce a delay of this many milliseconds before connecting again.
+   * @param  {boolean} options.retainUnsentOnDisconnect  when the connection is
+   *     unexpectedly closed and `options.autoReconnect` is true, only reject requests
+   *     already sent; keep the others queued until reconnected, until their timeout
+   *     or until the reconnect strategy gives up (default false)
+   * @param  {object|FallbackLimiter} options.fallback  local limiter (or its options) to
+   *     answer hits with while the connection is down (default none)
+   * @param  {object|CircuitBreaker} options.circuitBreaker  circuit breaker (or its
+   *     options) to guard hits with (default none)
+   * @param  {boolean|object} options.denyCache  when set, answer operations the server
+   *     denied locally until their `nextResetSeconds` passes; an object is passed as
+   *     options to `DenyCache` (default false)
+   * @param  {string} options.operationEncoding  how to send operation keys and values
+   *     containing whitespace or quotes: 'strict' rejects them with
+   *     `InvalidOperationError`, 'escape' backslash-escapes quotes, 'percent'
+   *     percent-encodes them and 'hash' replaces them with a hash (default 'strict')
+   * @param  {number[]} options.latencyBuckets  upper bounds, in millis, of the latency
+   *     histogram buckets reported by `getStats()`
+   * @param  {string} options.overflowPolicy  what to do with hits made while
+   *     `options.maxPendingRequests` requests are outstanding: 'reject',
+   *     'dropOldest', 'wait' or 'defaultDecision' (default 'reject')
+   * @param  {number} options.overflowWaitMillis  with the 'wait' policy, how long a hit
+   *     may wait for room before being rejected with `BacklogError` (default 100)
+   * @param  {object} options.overflowDefaultDecision  with the 'defaultDecision' policy,
+   *     the result to resolve with (default allowed)
+   * @param  {boolean} options.keepAlive  whether to enable TCP keepalive (default false)
+   * @param  {number} options.keepAliveInitialDelayMillis  idle time before the first
+   *     keepalive probe; 0 uses the OS default (default 0)
+   * @param  {number} options.healthCheckIdleMillis  when set, send a probe hit after the
+   *     connection has been idle this long (default none)
+   * @param  {object} options.healthCheckOperation  operation of the probe hit
+   *     (default `{}`)
+   * @param  {number} options.healthCheckTimeoutMillis  timeout of the probe hit; the
+   *     connection is reset if it expires (default `options.defaultCommandTimeoutMillis`)
+   * @param  {number} options.maxConsecutiveTimeouts  when set, reset the connection after
+   *     this many sent requests in a row time out (default none)
+   * @param  {object} options.logger  logger with any of `debug`, `info`, `warn` and
+   *     `error` methods, e.g. `console` (default none)
+   * @param  {boolean} options.logFieldsFirst  whether to call the logger with the fields
+   *     before the message, as bunyan and pino expect (default false)
+   * @param  {boolean} options.traceWire  whether to log every command sent and line
+   *     received at debug level (default false)
+   * @param  {string[]|function} options.redact  operation keys whose values are redacted
+   *     from the wire trace, or a function taking a key and value and returning the
+   *     value to log (see `logger.redactOperation`) (default none)
+   * @param  {object} options.concurrencyLimit  adaptive limit on outstanding requests
+   *     (see `concurrency-limit.js`); `options.maxPendingRequests` remains the upper
+   *     bound (default none)
    */
   constructor(host, port, options) {
     super();
 
     options = options || {};
+    Config.validateOptions(options);
 
     this.host = host || 'localhost';
-    this.port = port || 8321;
+    this.port = Config.parsePort(port) || 8321;
+    this.path = options.path || null;
+    this.tls = null;
+    if (options.tls) {
+      this.tls = options.tls === true ? {} : options.tls;
+    }
 
     this.clientSocket = null;
     this.connected = false;
@@ -66,18 +228,108 @@ class Client extends EventEmitter {
 
     this.autoReconnect = defaultIfUndefined(options.autoReconnect, true);
     this.maxReconnectAttempts = defaultIfUndefined(options.maxReconnectAttempts, 5);
+    this.retainUnsentOnDisconnect = defaultIfUndefined(options.retainUnsentOnDisconnect, false);
     this.throttleConnect = defaultIfUndefined(options.throttleConnect, true);
     this.throttleConnectTimeoutMillis = defaultIfUndefined(
       options.throttleConnectTimeoutMillis, 1000);
     this.maxPendingRequests = defaultIfUndefined(options.maxPendingRequests, 100);
     this.defaultCommandTimeoutMillis = defaultIfUndefined(
       options.defaultCommandTimeoutMillis, 1000);
+    this.operationEncoding = options.operationEncoding || 'strict';
+    this.overflowPolicy = options.overflowPolicy || 'reject';
+    this.overflowWaitMillis = defaultIfUndefined(options.overflowWaitMillis, 100);
+    this.overflowDefaultDecision = options.overflowDefaultDecision ||
+      { isAllowed: true, currentCredit: 0, nextResetSeconds: 0 };
+    this.concurrencyLimit = options.concurrencyLimit || null;
+
+    // Hits waiting for room under the 'wait' overflow policy, oldest first.
+    this.overflowWaiters = [];
+
+    this.reconnectStrategy = options.reconnectStrategy || Reconnect.fixed({
+      delayMillis: this.throttleConnect ? this.throttleConnectTimeoutMillis : 0,
+      maxAttempts: this.maxReconnectAttempts
+    });
 
     // Timeout handle, set when the client is unexpectedly closed.
     this.connectTimeoutHandle = null;
     this.lastDisconnectDate = null;
     this.reconnectAttempts = 0;
     this.onDisconnectedListener = this._onUnexpectedDisconnect.bind(this);
+
+    this.keepAlive = defaultIfUndefined(options.keepAlive, false);
+    this.keepAliveInitialDelayMillis = defaultIfUndefined(options.keepAliveInitialDelayMillis, 0);
+    this.healthCheckIdleMillis = defaultIfUndefined(options.healthCheckIdleMillis, null);
+    this.healthCheckTimeoutMillis = defaultIfUndefined(
+      options.healthCheckTimeoutMillis, this.defaultCommandTimeoutMillis);
+    this.healthCheckOperation = util.removeNullOrUndefinedKeys(
+      options.healthCheckOperation || {});
+    this.healthCheckMessage = hitMessage(util.operationToString(
+      this.healthCheckOperation, { encoding: this.operationEncoding }));
+    this.maxConsecutiveTimeouts = defaultIfUndefined(options.maxConsecutiveTimeouts, null);
+    this.isHealthCheckPending = false;
+    this.consecutiveTimeouts = 0;
+
+    // Set by `drain()`.
+    this.isDraining = false;
+    this.drainPromise = null;
+    this.onDrained = null;
+
+    this.fallbackLimiter = null;
+    if (options.fallback) {
+      this.fallbackLimiter = options.fallback instanceof FallbackLimiter ?
+        options.fallback : new FallbackLimiter(options.fallback);
+    }
+
+    // Set when the connection is unexpectedly lost, cleared once connected.
+    this.isUnreachable = false;
+
+    this.stats = new Stats({ latencyBuckets: options.latencyBuckets });
+
+    this.logger = Logger.wrap(options.logger, { fieldsFirst: options.logFieldsFirst });
+    this.traceWire = defaultIfUndefined(options.traceWire, false);
+    this.redact = options.redact || null;
+    this.nextRequestId = 1;
+
+    this.denyCache = null;
+    if (options.denyCache) {
+      this.denyCache = new DenyCache(options.denyCache === true ? {} : options.denyCache);
+    }
+
+    this.circuitBreaker = null;
+    if (options.circuitBreaker) {
+      this.circuitBreaker = options.circuitBreaker instanceof CircuitBreaker ?
+        options.circuitBreaker : new CircuitBreaker(options.circuitBreaker);
+      this.circuitBreaker.on('stateChange', (event) => {
+        this.logger.warn('divvy: circuit breaker state changed', event);
+        this.emit('circuitStateChange', event);
+      });
+    }
+  }
+
+  /**
+   * Creates a client from a connection string, e.g.
+   * `divvy://host:port?timeout=500&maxPending=200` (see `config.parseUrl()`).
+   *
+   * @param  {string} connectionString  the connection string
+   * @param  {object} options  further constructor options, taking precedence over the
+   *     connection string's (default none)
+   */
+  static fromUrl(connectionString, options) {
+    const config = Config.parseUrl(connectionString);
+    return new Client(config.host, config.port, Object.assign(config.options, options));
+  }
+
+  /**
+   * Creates a client from `DIVVY_URL`, `DIVVY_HOST`, `DIVVY_PORT` and other
+   * environment variables (see `config.parseEnv()`).
+   *
+   * @param  {string} prefix  prefix of the variable names (default 'DIVVY')
+   * @param  {object} options  further constructor options, taking precedence over the
+   *     environment's (default none)
+   */
+  static fromEnv(prefix, options) {
+    const config = Config.parseEnv(prefix);
+    return new Client(config.host, config.port, Object.assign(config.options, options));
   }
 
   /** Schedules connection to the server; no-op if already connected. */
@@ -106,7 +358,10 @@ class Client extends EventEmitter {
     }
   }
 
-  /** Manually close the connection. This will not trigger a reconnect. */
+  /**
+   * Manually close the connection, rejecting all outstanding requests with
+   * `DisconnectedError`. This will not trigger a reconnect.
+   */
   close() {
     if (this.connectTimeoutHandle) {
       clearTimeout(this.connectTimeoutHandle);
@@ -114,6 +369,8 @@ class Client extends EventEmitter {
     }
 
     if (!this.clientSocket) {
+      // Requests may be queued while disconnected.
+      this._rejectAllPending();
       return;
     }
 
@@ -122,40 +379,372 @@ class Client extends EventEmitter {
     this._doDisconnect();
   }
 
+  /**
+   * Stops accepting hits and closes the connection once all outstanding
+   * hits are settled, or once `options.timeout` passes, whichever comes
+   * first. Hits made from now on are rejected with `DrainingError`; hits
+   * still outstanding at the timeout are rejected with `DisconnectedError`.
+   *
+   * @param  {number} options.timeout  the longest to wait, in millis, or `null` to wait
+   *     as long as it takes (default `defaultCommandTimeoutMillis`)
+   * @return {Promise}  resolved once the connection is closed
+   */
+  drain(options) {
+    if (this.drainPromise) {
+      return this.drainPromise;
+    }
+
+    options = options || {};
+    const timeout = defaultIfUndefined(options.timeout, this.defaultCommandTimeoutMillis);
+
+    this.isDraining = true;
+    this.drainPromise = new Promise((resolve) => {
+      let timeoutHandle = null;
+
+      this.onDrained = () => {
+        clearTimeout(timeoutHandle);
+        this.onDrained = null;
+        this.close();
+        resolve();
+      };
+
+      if (timeout !== null) {
+        timeoutHandle = setTimeout(this.onDrained, timeout);
+      }
+      this._checkDrained();
+    });
+    return this.drainPromise;
+  }
+
   /**
    * Perform a "hit" command against the given operation.
    * Upon success, the promise is resolve with an object containing
    * fields `isAllowed` (boolean), `currentCredit`, and
-   * `nextResetSeconds`.
+   * `nextResetSeconds`. Results answered by the fallback limiter
+   * additionally have `source: 'fallback'`, and results answered by the
+   * deny cache `source: 'cache'`.
    *
    * @param  {object} operation the operation object, consisting of string key-value pairs
    *                            (optional, default: `{}`)
-   * @param  {number} timeout   the timeout in millis; if undefined, uses instance
-   *                            default timeout.
+   * @param  {number|object} options  the timeout in millis, or an object with:
+   * @param  {number} options.timeout  the timeout in millis; if undefined, uses instance
+   *                                   default timeout. Rejects with `TimeoutError`.
+   * @param  {Date|number} options.deadline  absolute deadline (a `Date` or millis since
+   *                                         epoch). Rejects with `DeadlineExceededError`.
+   * @param  {AbortSignal} options.signal  signal to cancel the request with. Rejects with
+   *                                       `AbortError`.
    */
-  hit(operation, timeout) {
-    operation = util.removeNullOrUndefinedKeys(operation || {});
+  hit(operation, options) {
+    const startMillis = Date.now();
+    return this._hit(operation, options).then((result) => {
+      this.stats.recordResult(result, Date.now() - startMillis);
+      return result;
+    }, (err) => {
+      this.stats.recordError(err, Date.now() - startMillis);
+      throw err;
+    });
+  }
+
+  /**
+   * Perform "hit" commands against several operations at once, e.g. to
+   * check per-user, per-IP and global limits together. The commands are
+   * written together and count as a single request against
+   * `maxPendingRequests` and the timeout.
+   *
+   * Upon success, the promise is resolved with an object containing
+   * `results`, the individual results in order (see `hit()`), and their
+   * aggregate: `isAllowed` if all are allowed, the minimum `currentCredit`
+   * and the maximum `nextResetSeconds`. Fails as a whole if any command
+   * fails. Rejects with `InvalidOperationError` unless `operations` is a
+   * non-empty array.
+   *
+   * Stats count each operation as a hit, whether the batch succeeds or
+   * fails.
+   *
+   * @param  {object[]} operations  the operation objects
+   * @param  {number|object} options  the timeout in millis, or an object with `timeout`,
+   *                                  `deadline` and `signal`; see `hit()`
+   */
+  hitMany(operations, options) {
+    const err = operationListError(operations);
+    if (err) {
+      return Promise.reject(err);
+    }
+
+    const startMillis = Date.now();
+    return this._hitAll(operations, options).then((results) => {
+      const latencyMillis = Date.now() - startMillis;
+      results.forEach((result) => this.stats.recordResult(result, latencyMillis));
+      return util.aggregateResults(results);
+    }, (err) => {
+      const latencyMillis = Date.now() - startMillis;
+      operations.forEach(() => this.stats.recordError(err, latencyMillis));
+      throw err;
+    });
+  }
+
+  /**
+   * Returns counters and a latency histogram for this client's hits, plus
+   * the current number of `pending` (not yet sent) and `inFlight` (sent,
+   * awaiting a response) requests. See `Stats.snapshot()`; the result can
+   * be rendered with `prometheus.format()`.
+   */
+  getStats() {
+    return Object.assign(this.stats.snapshot(), {
+      pending: this.requestQueue.length,
+      inFlight: this.responseQueue.length
+    });
+  }
+
+  _hit(operation, options) {
+    return this._hitAll([operation], options).then((results) => results[0]);
+  }
+
+  /** Hits `operations` as a single request, resolving with their results in order. */
+  _hitAll(operations, options) {
+    if (this.isDraining) {
+      return Promise.reject(new Errors.DrainingError('Client is draining.'));
+    }
+
+    operations = operations.map((operation) => util.removeNullOrUndefinedKeys(operation || {}));
+
+    if (options === null || typeof options !== 'object') {
+      options = { timeout: options };
+    }
 
+    let timeout = options.timeout;
     if (timeout === undefined) {
       timeout = this.defaultCommandTimeoutMillis;
     }
 
+    const operStrs = operations.map((operation) => {
+      return util.operationToString(operation, { encoding: this.operationEncoding });
+    });
+
+    if (options.signal && options.signal.aborted) {
+      return Promise.reject(new Errors.AbortError('Aborted.'));
+    }
+
+    let deadlineMillis = null;
+    if (options.deadline !== undefined && options.deadline !== null) {
+      deadlineMillis = options.deadline instanceof Date ?
+        options.deadline.getTime() : options.deadline;
+      if (deadlineMillis <= Date.now()) {
+        return Promise.reject(new Errors.DeadlineExceededError('Deadline exceeded.'));
+      }
+    }
+
+    if (this.denyCache) {
+      // Only skip the server if it denied every operation.
+      const cached = operStrs.map((operStr) => this.denyCache.get(operStr));
+      if (cached.every((result) => result)) {
+        return Promise.resolve(cached);
+      }
+    }
+
+    const request = {
+      operations: operations,
+      operStrs: operStrs,
+      timeout: timeout,
+      deadlineMillis: deadlineMillis,
+      signal: options.signal
+    };
+
+    if (!this._hasCapacity()) {
+      return this._onOverflow(request);
+    }
+    return this._send(request);
+  }
+
+  /**
+   * Sends hits that have been admitted past the backlog check, resolving
+   * with their results in order.
+   */
+  _send(request) {
+    const operations = request.operations;
+    const operStrs = request.operStrs;
+    const fallbackResults = () => operations.map((op) => this.fallbackLimiter.hit(op));
+
+    if (this._shouldUseFallback()) {
+      // Keep trying to get back to the server.
+      this.connect();
+      return Promise.resolve(fallbackResults());
+    }
+
+    if (this.circuitBreaker && !this.circuitBreaker.allowRequest()) {
+      return this._circuitOpenResults(operations);
+    }
+
+    const message = operStrs.map(hitMessage).join('');
+    const pendingRequest = this._enqueueMessage(message, request.timeout, {
+      deadlineMillis: request.deadlineMillis,
+      signal: request.signal,
+      numResponses: operations.length,
+      operations: operations
+    });
+    let promise = pendingRequest.promise;
+
+    if (this.concurrencyLimit) {
+      promise = promise.then((result) => {
+        this._sampleConcurrency(pendingRequest, false);
+        return result;
+      }, (err) => {
+        if (isServerTimeout(err)) {
+          this._sampleConcurrency(pendingRequest, true);
+        }
+        throw err;
+      });
+    }
+
+    if (this.denyCache) {
+      const denyCache = this.denyCache;
+      promise = promise.then((results) => {
+        results.forEach((result, i) => denyCache.set(operStrs[i], result));
+        return results;
+      });
+    }
+
+    if (this.circuitBreaker) {
+      const circuitBreaker = this.circuitBreaker;
+      promise = promise.then((result) => {
+        circuitBreaker.onSuccess();
+        return result;
+      }, (err) => {
+        circuitBreaker.onError(err);
+        throw err;
+      });
+    }
+
+    if (this.fallbackLimiter) {
+      promise = promise.catch((err) => {
+        if (err instanceof Errors.DisconnectedError) {
+          return fallbackResults();
+        }
+        throw err;
+      });
+    }
+
+    return promise;
+  }
+
+  /** Handles a hit made while the backlog is full, according to the overflow policy. */
+  _onOverflow(request) {
+    if (this.overflowPolicy === 'dropOldest' && this._dropOldestUnsent()) {
+      return this._send(request);
+    } else if (this.overflowPolicy === 'wait') {
+      return this._waitForCapacity(request);
+    } else if (this.overflowPolicy === 'defaultDecision') {
+      return Promise.resolve(request.operations.map(() => {
+        return Object.assign({}, this.overflowDefaultDecision);
+      }));
+    }
     const numPending = this._numPendingRequests();
-    if (numPending >= this.maxPendingRequests) {
-      return Promise.reject(new Errors.BacklogError(`Too many pending requests (${numPending})`));
+    return Promise.reject(new Errors.BacklogError(`Too many pending requests (${numPending})`));
+  }
+
+  /**
+   * Rejects the oldest request not yet written to the socket with
+   * `BacklogError`. Returns false if there is none.
+   */
+  _dropOldestUnsent() {
+    while (this.requestQueue.length) {
+      const elem = this.requestQueue.shift();
+      if (!elem.isRejectedOrResolved) {
+        elem.reject(new Errors.BacklogError('Dropped in favor of a newer request.'));
+        return true;
+      }
     }
+    return false;
+  }
 
-    const operStr = util.operationToString(operation);
+  /**
+   * Queues `request` until there is room for it, then sends it. Rejects
+   * with `BacklogError` after `overflowWaitMillis`, or earlier with
+   * `DeadlineExceededError` or `AbortError`.
+   */
+  _waitForCapacity(request) {
+    return new Promise((resolve, reject) => {
+      const signal = request.signal;
+      const waiter = {};
 
-    var message;
-    if (operStr) {
-      message = `HIT ${operStr}\n`;
-    } else {
-      message = 'HIT\n';
+      let waitMillis = this.overflowWaitMillis;
+      let error = new Errors.BacklogError(
+        `Timed out waiting for room among pending requests (${this._numPendingRequests()})`);
+      if (request.deadlineMillis !== null && request.deadlineMillis - Date.now() < waitMillis) {
+        waitMillis = Math.max(0, request.deadlineMillis - Date.now());
+        error = new Errors.DeadlineExceededError('Deadline exceeded.');
+      }
+
+      const settle = () => {
+        clearTimeout(waiter.timeout);
+        if (signal) {
+          signal.removeEventListener('abort', waiter.onAbort);
+        }
+        const index = this.overflowWaiters.indexOf(waiter);
+        if (index >= 0) {
+          this.overflowWaiters.splice(index, 1);
+        }
+      };
+
+      waiter.admit = () => {
+        settle();
+        resolve(this._send(request));
+      };
+
+      waiter.reject = (err) => {
+        settle();
+        reject(err);
+        this._checkDrained();
+      };
+
+      waiter.onAbort = () => waiter.reject(new Errors.AbortError('Aborted.'));
+
+      waiter.timeout = setTimeout(() => waiter.reject(error), waitMillis);
+      if (signal) {
+        signal.addEventListener('abort', waiter.onAbort);
+      }
+      this.overflowWaiters.push(waiter);
+    });
+  }
+
+  /** Sends waiting hits, oldest first, while there is room for them. */
+  _admitWaiters() {
+    while (this.overflowWaiters.length &&
+        this._numPendingRequests() < this._pendingLimit()) {
+      this.overflowWaiters[0].admit();
     }
+  }
 
-    const pendingRequest = this._enqueueMessage(message, timeout);
-    return pendingRequest.promise;
+  /** Feeds the latency of a completed request to the concurrency limit. */
+  _sampleConcurrency(pendingRequest, didDrop) {
+    if (!pendingRequest.sentAtMillis) {
+      // Never written to the socket.
+      return;
+    }
+    this.concurrencyLimit.onSample({
+      latencyMillis: Date.now() - pendingRequest.sentAtMillis,
+      didDrop: didDrop,
+      inFlight: pendingRequest.inFlightAtSend
+    });
+    this._admitWaiters();
+  }
+
+  /** Returns the outcome of hits that were not sent because the circuit is open. */
+  _circuitOpenResults(operations) {
+    if (this.fallbackLimiter) {
+      return Promise.resolve(operations.map((op) => this.fallbackLimiter.hit(op)));
+    }
+    if (this.circuitBreaker.defaultDecision) {
+      return Promise.resolve(operations.map(() => {
+        return Object.assign({}, this.circuitBreaker.defaultDecision);
+      }));
+    }
+    return Promise.reject(new Errors.CircuitOpenError('Circuit breaker is open.'));
+  }
+
+  /** Returns true if hits should be answered by the fallback limiter. */
+  _shouldUseFallback() {
+    return !!this.fallbackLimiter && this.isUnreachable;
   }
 
   /** Returns total number of outstanding requests. */
@@ -169,44 +758,214 @@ class Client extends EventEmitter {
     return this.requestQueue.length + this.responseQueue.length;
   }
 
+  /** Returns the maximum number of outstanding requests. */
+  _pendingLimit() {
+    if (this.concurrencyLimit) {
+      return Math.min(this.maxPendingRequests, this.concurrencyLimit.limit());
+    }
+    return this.maxPendingRequests;
+  }
+
+  /** Returns true if any request or waiting hit is not yet settled. */
+  _hasUnsettledRequests() {
+    const isUnsettled = (elem) => !elem.isRejectedOrResolved;
+    return this.overflowWaiters.length > 0 ||
+      this.requestQueue.some(isUnsettled) ||
+      this.responseQueue.some(isUnsettled);
+  }
+
+  /** Finishes a `drain()` once nothing is outstanding. */
+  _checkDrained() {
+    if (this.onDrained && !this._hasUnsettledRequests()) {
+      this.onDrained();
+    }
+  }
+
+  /** Returns true if a new hit may be sent without overflowing the backlog. */
+  _hasCapacity() {
+    // Waiting hits go first.
+    return !this.overflowWaiters.length && this._numPendingRequests() < this._pendingLimit();
+  }
+
   _doConnect() {
     this.connectTimeoutHandle = null;
-    this.clientSocket = new net.Socket();
-
-    this.clientSocket.connect(this.port, this.host, this._onConnected.bind(this));
+    this.clientSocket = this._createSocket(this._onConnected.bind(this));
     this.clientSocket.on('close', this.onDisconnectedListener);
+    if (this.healthCheckIdleMillis) {
+      this.clientSocket.setTimeout(this.healthCheckIdleMillis);
+      this.clientSocket.on('timeout', () => this._onIdle());
+    }
     this.clientSocket.on('error', (err) => {
+      this.logger.warn('divvy: connection error', {
+        server: this._serverName(),
+        error: err.message
+      });
       this.emit('error', err);
     });
   }
 
+  /**
+   * Returns a new socket connecting over the configured transport, which
+   * calls `onConnected` once connected (and, with TLS, once secured).
+   */
+  _createSocket(onConnected) {
+    const address = this.path ? { path: this.path } : { host: this.host, port: this.port };
+
+    if (this.tls) {
+      return tls.connect(Object.assign({}, this.tls, address), onConnected);
+    }
+
+    const socket = new net.Socket();
+    socket.connect(address, onConnected);
+    return socket;
+  }
+
+  /** Returns the server address, for logging. */
+  _serverName() {
+    return this.path || `${this.host}:${this.port}`;
+  }
+
   _onConnected() {
     this.connected = true;
+    this.isUnreachable = false;
     this.reconnectAttempts = 0;
+    this.reconnectStrategy.reset();
+    this.consecutiveTimeouts = 0;
+
+    if (this.keepAlive) {
+      this.clientSocket.setKeepAlive(true, this.keepAliveInitialDelayMillis);
+    }
 
-    carrier.carry(this.clientSocket, (line) => {
-      this._receivedLine(line);
+    const socket = this.clientSocket;
+    carrier.carry(socket, (line) => {
+      // Lines still buffered from a reset connection can't be trusted.
+      if (socket === this.clientSocket) {
+        this._receivedLine(line);
+      }
     });
+    this.logger.info('divvy: connected', { server: this._serverName() });
     this.emit('connected');
 
     // One or more requests could have been enqueued while waiting to connect.
     this._flushPending();
+    this._admitWaiters();
+  }
+
+  /** Sends a probe hit on an idle connection, resetting it if unanswered. */
+  _onIdle() {
+    if (!this.connected || this.isHealthCheckPending || this.isDraining) {
+      return;
+    }
+
+    this.isHealthCheckPending = true;
+    const socket = this.clientSocket;
+    const probe = this._enqueueMessage(this.healthCheckMessage, this.healthCheckTimeoutMillis, {
+      operations: [this.healthCheckOperation],
+      isHealthCheck: true
+    });
+    probe.promise.catch((err) => {
+      // Any response, even an error, shows the connection is alive. A
+      // connection reset since is not the probe's to reset again.
+      if (isServerTimeout(err) && socket === this.clientSocket) {
+        this._resetConnection('healthCheck');
+      }
+    }).then(() => {
+      this.isHealthCheckPending = false;
+    });
+  }
+
+  /** Counts a request that timed out after being sent. */
+  _onRequestTimeout() {
+    this.consecutiveTimeouts++;
+    if (this.maxConsecutiveTimeouts && this.consecutiveTimeouts >= this.maxConsecutiveTimeouts) {
+      this._resetConnection('consecutiveTimeouts');
+    }
   }
 
-  /** Do cleanup needed with every disconnect. */
-  _doDisconnect() {
+  /**
+   * Destroys a connection deemed unhealthy, emitting `unhealthy` with
+   * `{ reason }`. The client then disconnects (and reconnects) as if the
+   * server had closed the connection.
+   */
+  _resetConnection(reason) {
+    if (!this.clientSocket) {
+      return;
+    }
+    this.logger.warn('divvy: resetting unhealthy connection', {
+      server: this._serverName(),
+      reason: reason
+    });
+    this.emit('unhealthy', { reason: reason });
+    this.clientSocket.removeListener('close', this.onDisconnectedListener);
+    this.clientSocket.destroy();
+    this._onUnexpectedDisconnect();
+  }
+
+  /**
+   * Do cleanup needed with every disconnect.
+   *
+   * @param  {boolean} retainUnsent  whether to keep requests not yet sent queued,
+   *     rejecting only those awaiting a response
+   */
+  _doDisconnect(retainUnsent) {
     this.connected = false;
     this.clientSocket = null;
-    this._rejectAllPending();
+    if (retainUnsent) {
+      this._rejectSent();
+    } else {
+      this._rejectAllPending();
+    }
     this.emit('disconnected');
   }
 
   _onUnexpectedDisconnect() {
+    this.logger.warn('divvy: connection lost', {
+      server: this._serverName(),
+      inFlight: this.responseQueue.length
+    });
     this.lastDisconnectDate = new Date();
-    this._doDisconnect();
-    if (this.autoReconnect && this.reconnectAttempts < this.maxReconnectAttempts) {
-      this.reconnectAttempts++;
-      this.connect();
+    this.isUnreachable = true;
+    this._doDisconnect(this.retainUnsentOnDisconnect && this.autoReconnect);
+    if (this.autoReconnect) {
+      this._scheduleReconnect();
+    }
+  }
+
+  /** Schedules the next automatic reconnect attempt, if the strategy allows it. */
+  _scheduleReconnect() {
+    if (this.clientSocket || this.connectTimeoutHandle) {
+      // A `disconnected` listener already reconnected.
+      return;
+    }
+
+    const attempt = this.reconnectAttempts + 1;
+    const delay = this.reconnectStrategy.nextDelay(attempt);
+    if (delay === null || delay === undefined) {
+      this._rejectAllPending();
+      this.logger.error('divvy: giving up reconnecting', {
+        server: this._serverName(),
+        attempts: this.reconnectAttempts
+      });
+      this.emit('reconnectFailed', { attempts: this.reconnectAttempts });
+      return;
+    }
+    this.reconnectAttempts = attempt;
+    this.stats.recordReconnect();
+
+    // Time already spent since the disconnect counts towards the delay.
+    const remaining = Math.max(0, delay - (new Date() - this.lastDisconnectDate));
+    this.lastDisconnectDate = null;
+
+    this.logger.info('divvy: reconnecting', {
+      server: this._serverName(),
+      attempt: attempt,
+      delayMillis: remaining
+    });
+    this.emit('reconnecting', { attempt: attempt, delayMillis: remaining });
+    if (remaining <= 0) {
+      this._doConnect();
+    } else {
+      this.connectTimeoutHandle = setTimeout(() => this._doConnect(), remaining);
     }
   }
 
@@ -220,6 +979,15 @@ class Client extends EventEmitter {
       elem.reject(new Errors.DisconnectedError('Connection closed.'));
     }
 
+    this._rejectSent();
+
+    while (this.overflowWaiters.length) {
+      this.overflowWaiters[0].reject(new Errors.DisconnectedError('Connection closed.'));
+    }
+  }
+
+  /** Immediately rejects all requests that have been sent, whose outcome is unknown. */
+  _rejectSent() {
     while (this.responseQueue.length) {
       let elem = this.responseQueue.shift();
       if (elem.isRejectedOrResolved) {
@@ -231,16 +999,28 @@ class Client extends EventEmitter {
 
   /**
    * Parses a protocol response.
-   * @param  {[type]} line [description]
-   * @return {[type]}      [description]
+   *
+   * @param  {string} line  the response line, without the trailing newline
+   * @return {object|Error}  the hit result, or the error to reject with: a
+   *     `ServerError` (or subclass) for `ERR` lines, or a `BadResponseError`
+   *     for anything that can't be parsed
    */
   _parseLine(line) {
     const tokens = line.split(' ');
 
+    if (tokens[0] === 'ERR' && tokens.length >= 2) {
+      return this._parseErrorLine(tokens[1], tokens.slice(2).join(' '));
+    }
+
     if (tokens.length !== 4 || tokens[0] !== 'OK') {
       return new Errors.BadResponseError(line);
     }
 
+    if ((tokens[1] !== 'true' && tokens[1] !== 'false') ||
+        !INTEGER_RE.test(tokens[2]) || !INTEGER_RE.test(tokens[3])) {
+      return new Errors.BadResponseError(line);
+    }
+
     const isAllowed = tokens[1] === 'true';
     const currentCredit = parseInt(tokens[2], 10);
     const nextResetSeconds = parseInt(tokens[3], 10);
@@ -252,28 +1032,90 @@ class Client extends EventEmitter {
     };
   }
 
+  /** Returns the error for an `ERR <code> <message>` response. */
+  _parseErrorLine(code, message) {
+    const quoted = /^"(.*)"$/.exec(message);
+    if (quoted) {
+      message = quoted[1];
+    }
+    const ErrorClass = ERROR_CODES[code] || Errors.ServerError;
+    return new ErrorClass(message || code, code);
+  }
+
   _receivedLine(line) {
-    const currentRequest = this.responseQueue.shift();
+    const currentRequest = this.responseQueue[0];
+    this.consecutiveTimeouts = 0;
 
-    if (!currentRequest) {
-      throw new Errors.BadResponseError('Bug: Received an unexpected response.');
+    if (this.traceWire) {
+      this.logger.debug('divvy: received', {
+        requestId: currentRequest ? currentRequest.id : null,
+        line: line,
+        elapsedMillis: currentRequest ? Date.now() - currentRequest.sentAtMillis : null
+      });
     }
 
-    // If we already rejected the request in flight,
-    if (currentRequest.isRejectedOrResolved) {
+    if (!currentRequest) {
+      this._onDesync('Received an unexpected response.', line);
       return;
     }
 
+    // Settling is a no-op if the request already timed out or was aborted.
     const response = this._parseLine(line);
-    if (response instanceof Error) {
+    if (response instanceof Errors.BadResponseError) {
+      this.responseQueue.shift();
       currentRequest.reject(response);
+      this._onDesync('Received a malformed response.', line);
+      return;
+    }
+
+    // A request with several commands is answered by as many lines, even
+    // if it has already been settled.
+    currentRequest.responses.push(response);
+    if (currentRequest.responses.length < currentRequest.numResponses) {
+      return;
+    }
+    this.responseQueue.shift();
+
+    const errors = currentRequest.responses.filter((elem) => elem instanceof Error);
+    if (errors.length) {
+      currentRequest.reject(errors[0]);
     } else {
-      currentRequest.resolve(response);
+      currentRequest.resolve(currentRequest.responses);
     }
+    this._admitWaiters();
   }
 
-  _enqueueMessage(message, timeout) {
-    const pendingRequest = this._newPendingRequest(message, timeout);
+  /**
+   * Handles a response line that leaves responses and requests out of step:
+   * emits `protocolError`, rejects all in-flight requests and resets the
+   * connection.
+   */
+  _onDesync(message, line) {
+    this.logger.error(`divvy: ${message}`, { server: this._serverName(), line: line });
+    this.emit('protocolError', new Errors.ProtocolDesyncError(message, line));
+
+    while (this.responseQueue.length) {
+      let elem = this.responseQueue.shift();
+      if (elem.isRejectedOrResolved) {
+        continue;
+      }
+      elem.reject(new Errors.ProtocolDesyncError(message, line));
+    }
+
+    this._resetConnection('protocolDesync');
+  }
+
+  _enqueueMessage(message, timeout, options) {
+    const pendingRequest = this._newPendingRequest(message, timeout, options);
+    pendingRequest.promise.catch((err) => {
+      if (isServerTimeout(err) && pendingRequest.sentAtMillis && !pendingRequest.isHealthCheck) {
+        this._onRequestTimeout();
+      }
+    }).then(() => {
+      // Settling may have made room, however it happened.
+      this._admitWaiters();
+      this._checkDrained();
+    });
     this.requestQueue.push(pendingRequest);
     if (!this.clientSocket) {
       this.connect();
@@ -290,26 +1132,86 @@ class Client extends EventEmitter {
         // Request timed out, don't even both sending.
         continue;
       }
+      pendingRequest.sentAtMillis = Date.now();
       this.clientSocket.write(pendingRequest.message);
       this.responseQueue.push(pendingRequest);
+      pendingRequest.inFlightAtSend = this.responseQueue.length;
+      if (this.traceWire) {
+        this._traceSent(pendingRequest);
+      }
     }
   }
 
-  _newPendingRequest(message, timeout) {
+  /**
+   * Logs a request written to the socket, with operation values redacted.
+   * Redacted values are not validated against the encoding: tracing must
+   * never fail a send.
+   */
+  _traceSent(pendingRequest) {
+    let commands;
+    if (pendingRequest.operations && this.redact) {
+      commands = pendingRequest.operations.map((operation) => {
+        const redacted = Logger.redactOperation(operation, this.redact);
+        return hitMessage(Logger.formatOperation(redacted));
+      });
+    } else {
+      commands = [pendingRequest.message];
+    }
+
+    this.logger.debug('divvy: sent', {
+      requestId: pendingRequest.id,
+      commands: commands.join('').trim().split('\n'),
+      queuedMillis: pendingRequest.sentAtMillis - pendingRequest.createdAtMillis,
+      inFlight: pendingRequest.inFlightAtSend,
+      pending: this.requestQueue.length
+    });
+  }
+
+  /**
+   * Creates a pending request for `message`, which is rejected with
+   * `TimeoutError` after `timeout` millis, with `DeadlineExceededError` at
+   * `options.deadlineMillis` (whichever comes first), or with `AbortError`
+   * when `options.signal` is aborted. The request expects
+   * `options.numResponses` response lines (default 1), and is resolved with
+   * the array of their results. `options.operations` are kept for the wire
+   * trace. Timeouts of `options.isHealthCheck` requests are handled by the
+   * health check, not counted towards `maxConsecutiveTimeouts`.
+   */
+  _newPendingRequest(message, timeout, options) {
+    options = options || {};
+
     const pendingRequest = {
+      id: this.nextRequestId++,
       message: message,
+      operations: options.operations || null,
+      isHealthCheck: !!options.isHealthCheck,
+      createdAtMillis: Date.now(),
+      numResponses: options.numResponses || 1,
+      responses: [],
       isRejectedOrResolved: false
     };
 
+    const signal = options.signal;
+    const onAbort = function() {
+      pendingRequest.reject(new Errors.AbortError('Aborted.'));
+    };
+
+    const settle = function() {
+      if (pendingRequest.timeout) {
+        clearTimeout(pendingRequest.timeout);
+      }
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      pendingRequest.isRejectedOrResolved = true;
+    };
+
     pendingRequest.promise = new Promise((resolve, reject) => {
       pendingRequest.resolve = function(obj) {
         if (pendingRequest.isRejectedOrResolved) {
           return;
         }
-        if (pendingRequest.timeout) {
-          clearTimeout(pendingRequest.timeout);
-        }
-        pendingRequest.isRejectedOrResolved = true;
+        settle();
         resolve(obj);
       };
 
@@ -317,42 +1219,112 @@ class Client extends EventEmitter {
         if (pendingRequest.isRejectedOrResolved) {
           return;
         }
-        if (pendingRequest.timeout) {
-          clearTimeout(pendingRequest.timeout);
-        }
-        pendingRequest.isRejectedOrResolved = true;
+        settle();
         reject(err);
       };
 
+      let error = new Errors.TimeoutError('Timeout');
+      if (options.deadlineMillis !== undefined && options.deadlineMillis !== null) {
+        const deadlineTimeout = Math.max(0, options.deadlineMillis - Date.now());
+        if (timeout === undefined || timeout === null || deadlineTimeout < timeout) {
+          timeout = deadlineTimeout;
+          error = new Errors.DeadlineExceededError('Deadline exceeded.');
+        }
+      }
+
       if (timeout !== undefined && timeout !== null) {
         pendingRequest.timeout = setTimeout(function() {
-          pendingRequest.reject(new Errors.TimeoutError('Timeout'));
+          pendingRequest.reject(error);
         }, timeout);
       }
+
+      if (signal) {
+        signal.addEventListener('abort', onAbort);
+      }
     });
 
     return pendingRequest;
   }
 
+
 }
 
 /**
  * Stub of the public interface.
+ *
+ * By default every hit is allowed. Responses can be scripted per operation
+ * with `when()`, and every operation received is recorded in `operations`
+ * after the same normalization `hit()` does.
  */
 Client.Stub = class DivvyClientStub extends Client {
+  constructor(host, port, options) {
+    super(host, port, options);
+    this.reset();
+  }
+
   connect() {
   }
 
   close() {
   }
 
-  hit() {
+  hit(operation) {
+    operation = util.removeNullOrUndefinedKeys(operation || {});
+    util.assertValidOperation(operation, { encoding: this.operationEncoding });
+    this.operations.push(operation);
+
+    // Most recently added rules take precedence.
+    for (let i = this.rules.length - 1; i >= 0; i--) {
+      if (this.rules[i].matches(operation)) {
+        const response = this.rules[i].nextResponse();
+        return response instanceof Error ? Promise.reject(response) : Promise.resolve(response);
+      }
+    }
+
     return Promise.resolve({
       isAllowed: true,
       currentCredit: 0,
       nextResetSeconds: 0
     });
   }
+
+  hitMany(operations) {
+    const err = operationListError(operations);
+    if (err) {
+      return Promise.reject(err);
+    }
+    const promises = operations.map((operation) => this.hit(operation));
+    return Promise.all(promises).then(util.aggregateResults);
+  }
+
+  /**
+   * Adds a scripted response for operations matching `matcher`, which is an
+   * operation pattern (see `util.operationMatches`), a function taking the
+   * operation, or undefined to match all operations. Returns a `StubRule`
+   * to configure with `respond()`, `respondSequence()`, `reject()` or
+   * `denyAfter()`.
+   */
+  when(matcher) {
+    const rule = new StubRule(matcher);
+    this.rules.push(rule);
+    return rule;
+  }
+
+  /** Returns true if any recorded operation matches `matcher`. */
+  wasHitWith(matcher) {
+    return this.hitCount(matcher) > 0;
+  }
+
+  /** Returns the number of recorded operations matching `matcher`. */
+  hitCount(matcher) {
+    return this.operations.filter(StubRule.toPredicate(matcher)).length;
+  }
+
+  /** Removes all scripted responses and recorded operations. */
+  reset() {
+    this.rules = [];
+    this.operations = [];
+  }
 };
 
 /** Expose error hierarchy. */
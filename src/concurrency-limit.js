@@ -0,0 +1,117 @@
+'use strict';
+
+function defaultIfUndefined(val, defaultVal) {
+  return val !== undefined ? val : defaultVal;
+}
+
+function clamp(val, min, max) {
+  return Math.max(min, Math.min(max, val));
+}
+
+/**
+ * Adaptive concurrency limits.
+ *
+ * A limit is an object with two methods:
+ *
+ * - `limit()`: returns the current maximum number of outstanding requests.
+ * - `onSample(sample)`: called when a request that was written to the
+ *   socket completes, with `{ latencyMillis, didDrop, inFlight }`. `didDrop`
+ *   is true if the request timed out, and `inFlight` is the number of
+ *   requests in flight when it was sent, including itself.
+ *
+ * Neither limit grows while fewer than half of the allowed requests are
+ * outstanding, since the samples then say nothing about higher load.
+ */
+module.exports = {
+
+  /**
+   * Additive increase, multiplicative decrease: the limit grows by one per
+   * successful sample, and shrinks by `backoffRatio` upon a timeout or a
+   * sample slower than `latencyThresholdMillis`.
+   *
+   * @param  {number} options.initialLimit  starting limit (default 20)
+   * @param  {number} options.minLimit  lower bound for the limit (default 1)
+   * @param  {number} options.maxLimit  upper bound for the limit (default 100)
+   * @param  {number} options.backoffRatio  factor applied to the limit upon a drop
+   *     (default 0.9)
+   * @param  {number} options.latencyThresholdMillis  latency above which a sample
+   *     counts as a drop (default `Infinity`)
+   */
+  aimd: (options) => {
+    options = options || {};
+    const minLimit = defaultIfUndefined(options.minLimit, 1);
+    const maxLimit = defaultIfUndefined(options.maxLimit, 100);
+    const backoffRatio = defaultIfUndefined(options.backoffRatio, 0.9);
+    const latencyThresholdMillis = defaultIfUndefined(options.latencyThresholdMillis, Infinity);
+
+    let limit = clamp(defaultIfUndefined(options.initialLimit, 20), minLimit, maxLimit);
+
+    return {
+      limit: () => limit,
+      onSample: (sample) => {
+        if (sample.didDrop || sample.latencyMillis > latencyThresholdMillis) {
+          limit = clamp(Math.floor(limit * backoffRatio), minLimit, maxLimit);
+        } else if (sample.inFlight * 2 >= limit) {
+          limit = clamp(limit + 1, minLimit, maxLimit);
+        }
+      }
+    };
+  },
+
+  /**
+   * Latency gradient: the limit follows the ratio between the lowest
+   * latency seen recently and the latency of each sample, so it shrinks as
+   * requests start queueing at the server, and grows by a square root
+   * headroom while latency stays low. Timeouts halve the target.
+   *
+   * @param  {number} options.initialLimit  starting limit (default 20)
+   * @param  {number} options.minLimit  lower bound for the limit (default 1)
+   * @param  {number} options.maxLimit  upper bound for the limit (default 100)
+   * @param  {number} options.tolerance  how many times the lowest latency a sample
+   *     may take before the limit shrinks (default 2)
+   * @param  {number} options.smoothing  weight, between 0 and 1, of each new target
+   *     limit (default 0.2)
+   * @param  {number} options.resetSamples  number of samples after which the lowest
+   *     latency is forgotten and measured again (default 1000)
+   */
+  gradient: (options) => {
+    options = options || {};
+    const minLimit = defaultIfUndefined(options.minLimit, 1);
+    const maxLimit = defaultIfUndefined(options.maxLimit, 100);
+    const tolerance = defaultIfUndefined(options.tolerance, 2);
+    const smoothing = defaultIfUndefined(options.smoothing, 0.2);
+    const resetSamples = defaultIfUndefined(options.resetSamples, 1000);
+
+    let limit = clamp(defaultIfUndefined(options.initialLimit, 20), minLimit, maxLimit);
+    let minLatencyMillis = Infinity;
+    let numSamples = 0;
+
+    return {
+      limit: () => Math.floor(limit),
+      onSample: (sample) => {
+        numSamples++;
+        if (numSamples > resetSamples) {
+          numSamples = 1;
+          minLatencyMillis = Infinity;
+        }
+
+        let target;
+        if (sample.didDrop) {
+          target = limit / 2;
+        } else {
+          // Sub-millisecond latencies would make the gradient meaningless.
+          const latencyMillis = Math.max(1, sample.latencyMillis);
+          minLatencyMillis = Math.min(minLatencyMillis, latencyMillis);
+          if (sample.inFlight * 2 < limit) {
+            return;
+          }
+          const gradient = clamp(tolerance * minLatencyMillis / latencyMillis, 0.5, 1);
+          target = limit * gradient + Math.sqrt(limit);
+        }
+
+        limit = clamp(limit * (1 - smoothing) + target * smoothing, minLimit, maxLimit);
+      }
+    };
+  }
+
+};
@@ -0,0 +1,283 @@
+'use strict';
+
+const Errors = require('./errors');
+const url = require('url');
+const util = require('./util');
+
+const DEFAULT_ENV_PREFIX = 'DIVVY';
+
+const OVERFLOW_POLICIES = ['reject', 'dropOldest', 'wait', 'defaultDecision'];
+
+function formatValue(val) {
+  return typeof val === 'string' ? `"${val}"` : String(val);
+}
+
+/** Parses a boolean string; anything else is returned as is, to fail validation. */
+function parseBoolean(str) {
+  if (/^(true|yes|on|1)$/i.test(str)) {
+    return true;
+  } else if (/^(false|no|off|0)$/i.test(str)) {
+    return false;
+  }
+  return str;
+}
+
+/** Parses a number string; anything else is returned as is, to fail validation. */
+function parseNumber(str) {
+  if (/^\d+(\.\d+)?$/.test(str)) {
+    return parseFloat(str);
+  } else if (/^infinity$/i.test(str)) {
+    return Infinity;
+  } else if (/^(null|none)$/i.test(str)) {
+    return null;
+  }
+  return str;
+}
+
+function isNonNegativeInteger(val) {
+  return Number.isInteger(val) && val >= 0;
+}
+
+// Option value types: how to validate a value, how to describe valid values
+// in errors, and how to parse a value from a URL parameter or environment
+// variable.
+const TYPES = {
+  boolean: {
+    description: 'true or false',
+    isValid: (val) => typeof val === 'boolean',
+    parse: parseBoolean
+  },
+  booleanOrObject: {
+    description: 'true, false or an object',
+    isValid: (val) => typeof val === 'boolean' || (!!val && typeof val === 'object'),
+    parse: parseBoolean
+  },
+  millis: {
+    description: 'a non-negative number of millis',
+    isValid: (val) => typeof val === 'number' && isFinite(val) && val >= 0,
+    parse: parseNumber
+  },
+  positiveInteger: {
+    description: 'a positive integer',
+    isValid: (val) => isNonNegativeInteger(val) && val > 0,
+    parse: parseNumber
+  },
+  attempts: {
+    description: 'a non-negative integer or Infinity',
+    isValid: (val) => isNonNegativeInteger(val) || val === Infinity,
+    parse: parseNumber
+  },
+  encoding: {
+    isValid: util.isValidEncoding,
+    parse: (str) => str,
+    message: (label, val) => `Unknown operation encoding: ${formatValue(val)}`
+  },
+  overflowPolicy: {
+    isValid: (val) => OVERFLOW_POLICIES.indexOf(val) >= 0,
+    parse: (str) => str,
+    message: (label, val) => `Unknown overflow policy: ${formatValue(val)}`
+  }
+};
+
+// Client options with scalar values, by name. `nullable` options may also
+// be `null`.
+const OPTIONS = {
+  tls: { type: 'booleanOrObject' },
+  autoReconnect: { type: 'boolean' },
+  defaultCommandTimeoutMillis: { type: 'millis', nullable: true },
+  maxPendingRequests: { type: 'positiveInteger' },
+  maxReconnectAttempts: { type: 'attempts' },
+  throttleConnect: { type: 'boolean' },
+  throttleConnectTimeoutMillis: { type: 'millis' },
+  retainUnsentOnDisconnect: { type: 'boolean' },
+  denyCache: { type: 'booleanOrObject' },
+  operationEncoding: { type: 'encoding', nullable: true },
+  overflowPolicy: { type: 'overflowPolicy', nullable: true },
+  overflowWaitMillis: { type: 'millis' },
+  keepAlive: { type: 'boolean' },
+  keepAliveInitialDelayMillis: { type: 'millis' },
+  healthCheckIdleMillis: { type: 'millis', nullable: true },
+  healthCheckTimeoutMillis: { type: 'millis', nullable: true },
+  maxConsecutiveTimeouts: { type: 'positiveInteger', nullable: true },
+  logFieldsFirst: { type: 'boolean' },
+  traceWire: { type: 'boolean' }
+};
+
+// Shorthand URL parameter names; every option name above is also accepted.
+const PARAM_ALIASES = {
+  timeout: 'defaultCommandTimeoutMillis',
+  maxPending: 'maxPendingRequests',
+  encoding: 'operationEncoding'
+};
+
+const PARAMS = Object.keys(OPTIONS).reduce((params, name) => {
+  params[name] = name;
+  return params;
+}, Object.assign({}, PARAM_ALIASES));
+
+/** Throws `ConfigurationError` unless `val` is valid for option `name`. */
+function validateOption(name, val, label) {
+  const spec = OPTIONS[name];
+  if (val === undefined || (val === null && spec.nullable)) {
+    return;
+  }
+
+  const type = TYPES[spec.type];
+  if (!type.isValid(val)) {
+    label = label || name;
+    const message = type.message ? type.message(label, val) :
+      `Invalid ${label}: expected ${type.description}` +
+      `${spec.nullable ? ' or null' : ''}, got ${formatValue(val)}`;
+    throw new Errors.ConfigurationError(message, name);
+  }
+}
+
+/**
+ * Throws `ConfigurationError` if any scalar option in `options` has an
+ * invalid value. Options taking objects or functions are not checked.
+ */
+function validateOptions(options) {
+  Object.keys(OPTIONS).forEach((name) => validateOption(name, options[name]));
+}
+
+/**
+ * Returns `port` as a number, or undefined when unset (`undefined`, `null`,
+ * `''`, 0 or `NaN`, as from `parseInt()` of a missing variable), meaning
+ * the default port. Numeric strings are accepted. Throws
+ * `ConfigurationError` for anything else, or a number out of range.
+ */
+function parsePort(port, label) {
+  if (port === undefined || port === null || port === '' || port === 0 ||
+      (typeof port === 'number' && isNaN(port))) {
+    return undefined;
+  }
+
+  const num = typeof port === 'string' && /^\d+$/.test(port) ? parseInt(port, 10) : port;
+  if (!Number.isInteger(num) || num < 1 || num > 65535) {
+    throw new Errors.ConfigurationError(
+      `Invalid ${label || 'port'}: expected a port number, got ${formatValue(port)}`, 'port');
+  }
+  return num;
+}
+
+/** Parses and validates the string value of option `name`. */
+function parseOption(name, str, label) {
+  const val = TYPES[OPTIONS[name].type].parse(str);
+  validateOption(name, val, label);
+  return val;
+}
+
+/**
+ * Parses a connection string into `{ host, port, options }`, the arguments
+ * of the `Client` constructor.
+ *
+ * The scheme is `divvy://host:port` for TCP, `divvys://host:port` for TLS
+ * and `divvy+unix:///path/to/socket` for a Unix domain socket. Host and port
+ * may be omitted for the defaults. Query parameters set options, by name or
+ * by the shorthands `timeout` (`defaultCommandTimeoutMillis`), `maxPending`
+ * (`maxPendingRequests`) and `encoding` (`operationEncoding`), e.g.
+ * `divvy://divvy.internal:8321?timeout=500&maxPending=200&autoReconnect=true`.
+ *
+ * Throws `ConfigurationError` for malformed URLs, unknown parameters and
+ * invalid values.
+ */
+function parseUrl(connectionString) {
+  if (typeof connectionString !== 'string') {
+    throw new Errors.ConfigurationError(
+      `Invalid Divvy URL: ${formatValue(connectionString)}`, 'url');
+  }
+
+  const parsed = url.parse(connectionString, true);
+  const result = { host: undefined, port: undefined, options: {} };
+  const invalid = (reason) => new Errors.ConfigurationError(
+    `Invalid Divvy URL "${connectionString}": ${reason}`, 'url');
+
+  if (parsed.protocol === 'divvy+unix:') {
+    if (parsed.hostname || !parsed.pathname || parsed.pathname === '/') {
+      throw invalid('expected divvy+unix:///path/to/socket');
+    }
+    result.options.path = decodeURIComponent(parsed.pathname);
+  } else if (parsed.protocol === 'divvy:' || parsed.protocol === 'divvys:') {
+    if (parsed.pathname && parsed.pathname !== '/') {
+      throw invalid('expected divvy://host:port');
+    }
+    result.host = parsed.hostname || undefined;
+    if (parsed.port) {
+      result.port = parsePort(parsed.port);
+    }
+    if (parsed.protocol === 'divvys:') {
+      result.options.tls = true;
+    }
+  } else {
+    throw invalid('expected a divvy:, divvys: or divvy+unix: scheme');
+  }
+
+  Object.keys(parsed.query).forEach((param) => {
+    const name = PARAMS[param];
+    const str = parsed.query[param];
+    if (!name) {
+      throw invalid(`unknown parameter "${param}"`);
+    } else if (Array.isArray(str)) {
+      throw invalid(`parameter "${param}" given more than once`);
+    }
+    result.options[name] = parseOption(name, str, param);
+  });
+
+  return result;
+}
+
+/** Converts a camelCase parameter name to CONSTANT_CASE. */
+function toConstantCase(name) {
+  return name.replace(/([A-Z])/g, '_$1').toUpperCase();
+}
+
+/**
+ * Parses client configuration from environment variables into `{ host, port,
+ * options }`, the arguments of the `Client` constructor.
+ *
+ * With the default prefix 'DIVVY', `DIVVY_URL` is parsed as a connection
+ * string (see `parseUrl()`), and `DIVVY_HOST`, `DIVVY_PORT`,
+ * `DIVVY_SOCKET_PATH` and one variable per URL parameter, e.g.
+ * `DIVVY_TIMEOUT`, `DIVVY_MAX_PENDING` or `DIVVY_AUTO_RECONNECT`, override
+ * its values. Empty variables are ignored.
+ *
+ * @param  {string} prefix  prefix of the variable names (default 'DIVVY')
+ * @param  {object} env  the environment (default `process.env`)
+ */
+function parseEnv(prefix, env) {
+  prefix = (prefix || DEFAULT_ENV_PREFIX).replace(/_+$/, '');
+  env = env || process.env;
+
+  const varName = (suffix) => `${prefix}_${suffix}`;
+  const get = (suffix) => env[varName(suffix)] || undefined;
+
+  const result = get('URL') ? parseUrl(get('URL')) :
+    { host: undefined, port: undefined, options: {} };
+
+  if (get('HOST')) {
+    result.host = get('HOST');
+  }
+  if (get('PORT')) {
+    result.port = parsePort(get('PORT'), varName('PORT'));
+  }
+  if (get('SOCKET_PATH')) {
+    result.options.path = get('SOCKET_PATH');
+  }
+
+  Object.keys(PARAMS).forEach((param) => {
+    const suffix = toConstantCase(param);
+    if (get(suffix)) {
+      result.options[PARAMS[param]] = parseOption(PARAMS[param], get(suffix), varName(suffix));
+    }
+  });
+
+  return result;
+}
+
+module.exports = {
+  OVERFLOW_POLICIES: OVERFLOW_POLICIES,
+  validateOptions: validateOptions,
+  parsePort: parsePort,
+  parseUrl: parseUrl,
+  parseEnv: parseEnv
+};
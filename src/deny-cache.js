@@ -0,0 +1,79 @@
+'use strict';
+
+/**
+ * Size-bounded LRU cache of denied decisions.
+ *
+ * Entries are keyed by the canonical operation string (see
+ * `util.operationToString`) and expire once the server's
+ * `nextResetSeconds` has passed, since the bucket may have credit again.
+ */
+class DenyCache {
+
+  /**
+   * Constructor.
+   *
+   * @param  {number} options.maxSize  maximum number of entries; the least recently
+   *     used entry is evicted beyond this (default 1000)
+   * @param  {function} options.now  clock returning millis (default `Date.now`)
+   */
+  constructor(options) {
+    options = options || {};
+    this.maxSize = options.maxSize !== undefined ? options.maxSize : 1000;
+    this.now = options.now || Date.now;
+
+    // Map of operation string to expiry millis, least recently used first.
+    this.entries = new Map();
+  }
+
+  /** The number of cached entries, including expired ones not yet evicted. */
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Returns a denied result for `key` if a denial is cached and not yet
+   * expired, or null. Cached results have `source: 'cache'`.
+   */
+  get(key) {
+    const expiresMillis = this.entries.get(key);
+    if (expiresMillis === undefined) {
+      return null;
+    }
+
+    const remainingMillis = expiresMillis - this.now();
+    this.entries.delete(key);
+    if (remainingMillis <= 0) {
+      return null;
+    }
+
+    // Re-insert to mark as most recently used.
+    this.entries.set(key, expiresMillis);
+    return {
+      isAllowed: false,
+      currentCredit: 0,
+      nextResetSeconds: Math.ceil(remainingMillis / 1000),
+      source: 'cache'
+    };
+  }
+
+  /** Caches `result` for `key` if it is a denial with a reset time. */
+  set(key, result) {
+    if (result.isAllowed || result.nextResetSeconds <= 0 || this.maxSize <= 0) {
+      return;
+    }
+
+    this.entries.delete(key);
+    this.entries.set(key, this.now() + result.nextResetSeconds * 1000);
+    while (this.entries.size > this.maxSize) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /** Removes all entries. */
+  clear() {
+    this.entries.clear();
+  }
+
+}
+
+module.exports = DenyCache;
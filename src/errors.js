@@ -17,6 +17,14 @@ class DivvyClientError extends Error {
 class TimeoutError extends DivvyClientError {
 }
 
+/** Message not answered before its deadline. */
+class DeadlineExceededError extends TimeoutError {
+}
+
+/** Message cancelled through its abort signal. */
+class AbortError extends DivvyClientError {
+}
+
 /** Tried to send message while disconnected. */
 class DisconnectedError extends DivvyClientError {
 }
@@ -25,14 +33,65 @@ class DisconnectedError extends DivvyClientError {
 class BacklogError extends DivvyClientError {
 }
 
+/**
+ * Responses could no longer be matched to requests, e.g. after a malformed
+ * or unexpected response line. The line is available as `line`.
+ */
+class ProtocolDesyncError extends DivvyClientError {
+  constructor(message, line) {
+    super(message);
+    this.line = line;
+  }
+}
+
+/** Tried to send message while the client is draining. */
+class DrainingError extends DivvyClientError {
+}
+
 /** Got a bad response from the server. */
 class BadResponseError extends DivvyClientError {
 }
 
+/** Request not attempted because the circuit breaker is open. */
+class CircuitOpenError extends DivvyClientError {
+}
+
+/** The server responded with an `ERR` line. */
+class ServerError extends DivvyClientError {
+  constructor(message, code) {
+    super(message);
+    this.code = code;
+  }
+}
+
+/** The operation is invalid; `code` is set when reported by the server. */
+class InvalidOperationError extends DivvyClientError {
+  constructor(message, code) {
+    super(message);
+    this.code = code;
+  }
+}
+
+/** A client option has an invalid value; the option name is available as `option`. */
+class ConfigurationError extends DivvyClientError {
+  constructor(message, option) {
+    super(message);
+    this.option = option;
+  }
+}
+
 module.exports = {
   DivvyClientError: DivvyClientError,
   TimeoutError: TimeoutError,
+  DeadlineExceededError: DeadlineExceededError,
+  AbortError: AbortError,
   DisconnectedError: DisconnectedError,
   BacklogError: BacklogError,
-  BadResponseError: BadResponseError
+  DrainingError: DrainingError,
+  BadResponseError: BadResponseError,
+  ProtocolDesyncError: ProtocolDesyncError,
+  CircuitOpenError: CircuitOpenError,
+  ServerError: ServerError,
+  InvalidOperationError: InvalidOperationError,
+  ConfigurationError: ConfigurationError
 };
\ No newline at end of file
@@ -0,0 +1,236 @@
+'use strict';
+
+const carrier = require('carrier');
+const net = require('net');
+const EventEmitter = require('events').EventEmitter;
+const util = require('./util');
+
+function defaultIfUndefined(val, defaultVal) {
+  return val !== undefined ? val : defaultVal;
+}
+
+/**
+ * In-process fake Divvy server, for integration tests.
+ *
+ * The server speaks the Divvy line protocol over a real TCP socket and
+ * enforces buckets the same way Divvy does: the first bucket whose
+ * `operation` pattern matches (see `util.operationMatches`) applies, and
+ * each bucket starts with `creditLimit` credit that is restored in full
+ * every `resetSeconds`. When `actorField` is set, each distinct value of
+ * that operation key gets its own bucket.
+ *
+ * Failures can be injected with `setLatency()`, `disconnectAll()` and the
+ * `queue*()` methods, which replace the response to upcoming hits.
+ *
+ * A `hit` event is emitted with the parsed operation for every `HIT`
+ * command received.
+ */
+class FakeServer extends EventEmitter {
+
+  /**
+   * Constructor.
+   *
+   * @param  {object[]} options.buckets  list of `{ operation, creditLimit, resetSeconds,
+   *     actorField }` buckets (default none)
+   * @param  {boolean} options.defaultAllow  decision for operations matching no bucket
+   *     (default true)
+   * @param  {number} options.latencyMillis  delay before each response (default 0)
+   * @param  {string} options.operationEncoding  encoding the clients use; only 'escape'
+   *     is decoded, see `util.stringToOperation` (default 'strict')
+   * @param  {function} options.now  clock returning millis (default `Date.now`)
+   */
+  constructor(options) {
+    super();
+
+    options = options || {};
+
+    this.buckets = options.buckets || [];
+    this.defaultAllow = defaultIfUndefined(options.defaultAllow, true);
+    this.latencyMillis = defaultIfUndefined(options.latencyMillis, 0);
+    this.operationEncoding = options.operationEncoding || 'strict';
+    this.now = options.now || Date.now;
+
+    this.server = net.createServer((conn) => this._onConnection(conn));
+    this.connections = new Set();
+
+    this.reset();
+  }
+
+  /**
+   * Starts listening.
+   *
+   * @param  {number|string} port  port number, or path of a Unix domain socket
+   *     (default 0, an ephemeral port)
+   * @return {Promise}  resolved with the bound port number (or path)
+   */
+  listen(port) {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port || 0, () => {
+        this.server.removeListener('error', reject);
+        resolve(this.port);
+      });
+    });
+  }
+
+  /** The bound port number (or Unix socket path), or null if not listening. */
+  get port() {
+    const address = this.server.address();
+    if (!address) {
+      return null;
+    }
+    return typeof address === 'string' ? address : address.port;
+  }
+
+  /** Closes all connections and stops listening. */
+  close() {
+    return new Promise((resolve) => {
+      this.disconnectAll();
+      this.server.close(() => resolve());
+    });
+  }
+
+  /** Clears all bucket state, queued responses and recorded hits. */
+  reset() {
+    // Map of bucket key to `{ credit, resetAtMillis }`.
+    this.bucketState = new Map();
+
+    // Responses to use instead of the real ones, in order. Each is a line
+    // to send, or `null` to disconnect instead of responding.
+    this.queuedResponses = [];
+
+    // Operations of every `HIT` received, in order.
+    this.hits = [];
+  }
+
+  /** Sets the delay before each response. */
+  setLatency(latencyMillis) {
+    this.latencyMillis = latencyMillis;
+  }
+
+  /** Destroys all open client connections. */
+  disconnectAll() {
+    this.connections.forEach((conn) => conn.destroy());
+    this.connections.clear();
+  }
+
+  /** Answers the next command with `line` instead of the real response. */
+  queueResponse(line) {
+    this.queuedResponses.push(line);
+  }
+
+  /** Answers the next command with `ERR <code> "<message>"`. */
+  queueError(code, message) {
+    this.queueResponse(message ? `ERR ${code} "${message}"` : `ERR ${code}`);
+  }
+
+  /** Answers the next command with an unparseable line. */
+  queueGarbage(line) {
+    this.queueResponse(line || 'GARBAGE');
+  }
+
+  /** Closes the connection upon the next command, without answering it. */
+  queueDisconnect() {
+    this.queuedResponses.push(null);
+  }
+
+  _onConnection(conn) {
+    this.connections.add(conn);
+    conn.on('close', () => this.connections.delete(conn));
+    conn.on('error', () => {});
+
+    // Time at which the last response was written, to keep responses in
+    // order when the latency changes.
+    let lastResponseMillis = 0;
+
+    carrier.carry(conn, (line) => {
+      const response = this._handleLine(line);
+      const sendAtMillis = Math.max(lastResponseMillis, Date.now() + this.latencyMillis);
+      lastResponseMillis = sendAtMillis;
+
+      const send = () => {
+        if (conn.destroyed) {
+          return;
+        } else if (response === null) {
+          this.connections.delete(conn);
+          conn.destroy();
+        } else {
+          conn.write(`${response}\n`);
+        }
+      };
+
+      const delay = sendAtMillis - Date.now();
+      if (delay > 0) {
+        setTimeout(send, delay);
+      } else {
+        send();
+      }
+    });
+  }
+
+  /** Returns the response line for a command, or null to disconnect. */
+  _handleLine(line) {
+    const match = /^(\S*)(?: (.*))?$/.exec(line);
+    const command = match[1];
+    const operation = command === 'HIT' ?
+      util.stringToOperation(match[2], { encoding: this.operationEncoding }) : null;
+
+    if (command === 'HIT' && operation) {
+      this.hits.push(operation);
+      this.emit('hit', operation);
+    }
+
+    if (this.queuedResponses.length) {
+      return this.queuedResponses.shift();
+    }
+
+    if (command !== 'HIT') {
+      return `ERR unknown-command "Unrecognized command: ${command}"`;
+    } else if (!operation) {
+      return 'ERR invalid-operation "Could not parse operation"';
+    }
+
+    const result = this._hitBucket(operation);
+    return `OK ${result.isAllowed} ${result.currentCredit} ${result.nextResetSeconds}`;
+  }
+
+  /** Applies a hit to the matching bucket, Divvy-style. */
+  _hitBucket(operation) {
+    let index = -1;
+    for (let i = 0; i < this.buckets.length; i++) {
+      if (util.operationMatches(this.buckets[i].operation, operation)) {
+        index = i;
+        break;
+      }
+    }
+
+    if (index < 0) {
+      return { isAllowed: this.defaultAllow, currentCredit: 0, nextResetSeconds: 0 };
+    }
+
+    const bucket = this.buckets[index];
+    const actor = bucket.actorField ? operation[bucket.actorField] : '';
+    const key = `${index} ${actor}`;
+    const now = this.now();
+
+    let state = this.bucketState.get(key);
+    if (!state || now >= state.resetAtMillis) {
+      state = { credit: bucket.creditLimit, resetAtMillis: now + bucket.resetSeconds * 1000 };
+      this.bucketState.set(key, state);
+    }
+
+    const isAllowed = state.credit > 0;
+    if (isAllowed) {
+      state.credit--;
+    }
+
+    return {
+      isAllowed: isAllowed,
+      currentCredit: state.credit,
+      nextResetSeconds: Math.ceil((state.resetAtMillis - now) / 1000)
+    };
+  }
+
+}
+
+module.exports = FakeServer;
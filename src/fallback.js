@@ -0,0 +1,125 @@
+'use strict';
+
+const util = require('./util');
+
+function defaultIfUndefined(val, defaultVal) {
+  return val !== undefined ? val : defaultVal;
+}
+
+/**
+ * In-process token bucket limiter, used in place of the Divvy server while
+ * it is unreachable.
+ *
+ * Rules resemble Divvy server buckets: the first rule whose `operation`
+ * pattern matches (see `util.operationMatches`) applies. Each rule's bucket
+ * holds up to `creditLimit` tokens and refills continuously at
+ * `creditLimit` tokens per `resetSeconds`. When `actorField` is set, each
+ * distinct value of that operation key gets its own bucket.
+ *
+ * Results have the same shape as `Client.hit()` results, plus
+ * `source: 'fallback'`. For allowed hits, `nextResetSeconds` is the time
+ * until the bucket is full again; for denied hits, it is the time until
+ * the next token is available.
+ */
+class FallbackLimiter {
+
+  /**
+   * Constructor.
+   *
+   * @param  {object[]} options.rules  list of `{ operation, creditLimit, resetSeconds,
+   *     actorField }` rules
+   * @param  {boolean} options.defaultAllow  decision for operations matching no rule
+   *     (default true)
+   * @param  {number} options.maxBuckets  maximum number of buckets to track; the
+   *     least recently created bucket is dropped beyond this (default 10000)
+   * @param  {function} options.now  clock returning millis (default `Date.now`)
+   */
+  constructor(options) {
+    options = options || {};
+
+    this.rules = (options.rules || []).map((rule, index) => {
+      if (typeof rule.creditLimit !== 'number' || rule.creditLimit < 0 ||
+          typeof rule.resetSeconds !== 'number' || rule.resetSeconds <= 0) {
+        throw new Error(`Invalid fallback rule at index ${index}`);
+      }
+      return rule;
+    });
+    this.defaultAllow = defaultIfUndefined(options.defaultAllow, true);
+    this.maxBuckets = defaultIfUndefined(options.maxBuckets, 10000);
+    this.now = options.now || Date.now;
+
+    // Map of bucket key to `{ tokens, updatedMillis }`.
+    this.buckets = new Map();
+  }
+
+  /** Performs a local "hit" against the (already normalized) operation. */
+  hit(operation) {
+    const ruleIndex = this._findRule(operation);
+    if (ruleIndex < 0) {
+      return {
+        isAllowed: this.defaultAllow,
+        currentCredit: 0,
+        nextResetSeconds: 0,
+        source: 'fallback'
+      };
+    }
+
+    const rule = this.rules[ruleIndex];
+    const bucket = this._getBucket(ruleIndex, operation);
+    const ratePerSecond = rule.creditLimit / rule.resetSeconds;
+
+    const isAllowed = bucket.tokens >= 1;
+    if (isAllowed) {
+      bucket.tokens -= 1;
+    }
+
+    const missingTokens = isAllowed ? rule.creditLimit - bucket.tokens : 1 - bucket.tokens;
+    return {
+      isAllowed: isAllowed,
+      currentCredit: Math.floor(bucket.tokens),
+      nextResetSeconds: ratePerSecond > 0 ? Math.ceil(missingTokens / ratePerSecond) : 0,
+      source: 'fallback'
+    };
+  }
+
+  /** Discards all bucket state. */
+  reset() {
+    this.buckets.clear();
+  }
+
+  _findRule(operation) {
+    for (let i = 0; i < this.rules.length; i++) {
+      if (util.operationMatches(this.rules[i].operation, operation)) {
+        return i;
+      }
+    }
+    return -1;
+  }
+
+  /** Returns the bucket for `operation` under the given rule, refilled to now. */
+  _getBucket(ruleIndex, operation) {
+    const rule = this.rules[ruleIndex];
+    const actor = rule.actorField ? operation[rule.actorField] : '';
+    const key = `${ruleIndex} ${actor}`;
+    const now = this.now();
+
+    let bucket = this.buckets.get(key);
+    if (!bucket) {
+      if (this.buckets.size >= this.maxBuckets) {
+        this.buckets.delete(this.buckets.keys().next().value);
+      }
+      bucket = { tokens: rule.creditLimit, updatedMillis: now };
+      this.buckets.set(key, bucket);
+      return bucket;
+    }
+
+    const elapsedSeconds = Math.max(0, now - bucket.updatedMillis) / 1000;
+    bucket.tokens = Math.min(rule.creditLimit,
+      bucket.tokens + elapsedSeconds * rule.creditLimit / rule.resetSeconds);
+    bucket.updatedMillis = now;
+    return bucket;
+  }
+
+}
+
+module.exports = FallbackLimiter;
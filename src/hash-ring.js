@@ -0,0 +1,82 @@
+'use strict';
+
+const crypto = require('crypto');
+
+/** Returns a 32-bit unsigned integer hash of `str`. */
+function hash(str) {
+  return crypto.createHash('md5').update(str).digest().readUInt32BE(0);
+}
+
+/**
+ * Consistent hash ring.
+ *
+ * Each node is placed on the ring at `replicas` pseudo-random points. A key
+ * belongs to the first node point at or after the key's own hash, wrapping
+ * around. Adding or removing a node only moves the keys adjacent to that
+ * node's points.
+ */
+class HashRing {
+
+  /**
+   * Constructor.
+   *
+   * @param  {string[]} nodes  initial node names (default `[]`)
+   * @param  {number} options.replicas  number of points per node (default 160)
+   */
+  constructor(nodes, options) {
+    options = options || {};
+    this.replicas = options.replicas !== undefined ? options.replicas : 160;
+
+    // Sorted array of `{ point, node }`.
+    this.points = [];
+    this.nodes = [];
+
+    (nodes || []).forEach((node) => this.add(node));
+  }
+
+  /** Adds a node to the ring; no-op if already present. */
+  add(node) {
+    if (this.nodes.indexOf(node) >= 0) {
+      return;
+    }
+    this.nodes.push(node);
+    for (let i = 0; i < this.replicas; i++) {
+      this.points.push({ point: hash(`${node}-${i}`), node: node });
+    }
+    this.points.sort((a, b) => a.point - b.point || (a.node < b.node ? -1 : 1));
+  }
+
+  /** Removes a node from the ring; no-op if not present. */
+  remove(node) {
+    const index = this.nodes.indexOf(node);
+    if (index < 0) {
+      return;
+    }
+    this.nodes.splice(index, 1);
+    this.points = this.points.filter((entry) => entry.node !== node);
+  }
+
+  /** Returns the node owning `key`, or `null` if the ring is empty. */
+  get(key) {
+    if (!this.points.length) {
+      return null;
+    }
+
+    const keyPoint = hash(key);
+    let low = 0;
+    let high = this.points.length;
+    while (low < high) {
+      const mid = (low + high) >>> 1;
+      if (this.points[mid].point < keyPoint) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+
+    return this.points[low % this.points.length].node;
+  }
+
+}
+
+module.exports = HashRing;
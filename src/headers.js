@@ -0,0 +1,109 @@
+'use strict';
+
+function defaultIfUndefined(val, defaultVal) {
+  return val !== undefined ? val : defaultVal;
+}
+
+const FORMATS = ['draft', 'legacy', 'both'];
+
+/** Normalizes header options and fills in defaults. */
+function buildConfig(options) {
+  options = options || {};
+  const config = {
+    format: defaultIfUndefined(options.format, 'draft'),
+    limit: options.limit,
+    errorRetryAfterSeconds: options.errorRetryAfterSeconds,
+    now: options.now || Date.now
+  };
+  if (FORMATS.indexOf(config.format) < 0) {
+    throw new Error(`Invalid header format: "${config.format}"`);
+  }
+  return config;
+}
+
+/**
+ * Returns rate limit response headers for a `hit()` result.
+ *
+ * The "draft" format follows the IETF RateLimit header fields draft
+ * (`RateLimit-Limit`, `RateLimit-Remaining`, `RateLimit-Reset`, where the
+ * reset is in seconds from now). The "legacy" format uses the widespread
+ * `X-RateLimit-*` headers, where the reset is a unix timestamp in seconds.
+ * `Retry-After` is added whenever the result is a denial.
+ *
+ * @param  {object} result  the hit result
+ * @param  {string} options.format  one of 'draft', 'legacy' or 'both' (default 'draft')
+ * @param  {number} options.limit  the bucket's credit limit; the `*-Limit` headers are
+ *     only added when this is given
+ * @param  {function} options.now  clock returning millis since epoch (default `Date.now`)
+ * @return {object}  a map of header name to string value
+ */
+function fromResult(result, options) {
+  const config = buildConfig(options);
+  const headers = {};
+  const remaining = String(Math.max(0, result.currentCredit));
+  const resetSeconds = Math.max(0, result.nextResetSeconds);
+
+  if (config.format !== 'legacy') {
+    if (config.limit !== undefined) {
+      headers['RateLimit-Limit'] = String(config.limit);
+    }
+    headers['RateLimit-Remaining'] = remaining;
+    headers['RateLimit-Reset'] = String(resetSeconds);
+  }
+
+  if (config.format !== 'draft') {
+    if (config.limit !== undefined) {
+      headers['X-RateLimit-Limit'] = String(config.limit);
+    }
+    headers['X-RateLimit-Remaining'] = remaining;
+    headers['X-RateLimit-Reset'] = String(Math.ceil(config.now() / 1000) + resetSeconds);
+  }
+
+  if (!result.isAllowed) {
+    headers['Retry-After'] = String(resetSeconds);
+  }
+
+  return headers;
+}
+
+/**
+ * Returns rate limit response headers for a failed `hit()`.
+ *
+ * A failed hit carries no quota information, so the only header produced
+ * is `Retry-After`, and only when `options.errorRetryAfterSeconds` is set.
+ *
+ * @param  {Error} err  the error the hit was rejected with
+ * @param  {number} options.errorRetryAfterSeconds  value for `Retry-After`
+ * @return {object}  a map of header name to string value
+ */
+function fromError(err, options) {
+  const config = buildConfig(options);
+  const headers = {};
+  if (config.errorRetryAfterSeconds !== undefined) {
+    headers['Retry-After'] = String(config.errorRetryAfterSeconds);
+  }
+  return headers;
+}
+
+/**
+ * Returns rate limit response headers for either a hit result or an error.
+ * See `fromResult()` and `fromError()` for options.
+ */
+function toHeaders(resultOrError, options) {
+  if (resultOrError instanceof Error) {
+    return fromError(resultOrError, options);
+  }
+  return fromResult(resultOrError, options);
+}
+
+/** Throws if the header options are invalid, e.g. an unknown format. */
+function validateOptions(options) {
+  buildConfig(options);
+}
+
+module.exports = {
+  validateOptions: validateOptions,
+  fromResult: fromResult,
+  fromError: fromError,
+  toHeaders: toHeaders
+};
@@ -0,0 +1,77 @@
+'use strict';
+
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+
+// Replacement for redacted operation values.
+const REDACTED = '[REDACTED]';
+
+const noop = () => {};
+
+/**
+ * Returns a logger with all of `debug`, `info`, `warn` and `error`,
+ * calling the method of the same name on `logger` when it has one, and
+ * doing nothing otherwise. Each method is called with a message and an
+ * object of fields, as `console` and winston expect, or with the fields
+ * first when `options.fieldsFirst` is set, as bunyan and pino expect.
+ *
+ * @param  {object} logger  the logger (default none)
+ * @param  {boolean} options.fieldsFirst  whether to pass the fields before the message
+ *     (default false)
+ */
+function wrap(logger, options) {
+  const fieldsFirst = !!(options && options.fieldsFirst);
+  const wrapped = {};
+  LEVELS.forEach((level) => {
+    if (!logger || typeof logger[level] !== 'function') {
+      wrapped[level] = noop;
+    } else if (fieldsFirst) {
+      wrapped[level] = (message, fields) => logger[level](fields || {}, message);
+    } else {
+      wrapped[level] = logger[level].bind(logger);
+    }
+  });
+  return wrapped;
+}
+
+/**
+ * Returns a copy of `operation` with sensitive values redacted.
+ *
+ * @param  {object} operation  the operation
+ * @param  {string[]|function} rules  keys whose values are replaced with
+ *     '[REDACTED]', or a function taking a key and value and returning the
+ *     value to log, or undefined to log the value as-is (default none)
+ */
+function redactOperation(operation, rules) {
+  if (!rules) {
+    return operation;
+  }
+
+  const redacted = {};
+  Object.keys(operation).forEach((key) => {
+    const value = operation[key];
+    if (typeof rules === 'function') {
+      const replacement = rules(key, value);
+      redacted[key] = replacement === undefined ? value : replacement;
+    } else {
+      redacted[key] = rules.indexOf(key) >= 0 ? REDACTED : value;
+    }
+  });
+  return redacted;
+}
+
+/**
+ * Formats `operation` like the wire protocol, for logging only: values are
+ * converted to strings as they are, without validation or encoding.
+ */
+function formatOperation(operation) {
+  return Object.keys(operation).sort()
+    .map((key) => `"${key}"="${String(operation[key])}"`)
+    .join(' ');
+}
+
+module.exports = {
+  wrap: wrap,
+  redactOperation: redactOperation,
+  formatOperation: formatOperation,
+  REDACTED: REDACTED
+};
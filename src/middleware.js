@@ -0,0 +1,184 @@
+'use strict';
+
+const Errors = require('./errors');
+const headers = require('./headers');
+
+function defaultIfUndefined(val, defaultVal) {
+  return val !== undefined ? val : defaultVal;
+}
+
+/** Default operation builder: `{ method, path, ip }` of the request. */
+function defaultOperation(req) {
+  return {
+    method: req.method,
+    path: req.path || (req.url || '').split('?')[0],
+    ip: req.ip || (req.connection && req.connection.remoteAddress)
+  };
+}
+
+/**
+ * Returns true if `err` is a client-side availability problem (the server
+ * could not be asked), as opposed to a programming error.
+ */
+function isUnavailableError(err) {
+  return err instanceof Errors.TimeoutError ||
+    err instanceof Errors.DisconnectedError ||
+    err instanceof Errors.ProtocolDesyncError ||
+    err instanceof Errors.BacklogError ||
+    err instanceof Errors.DrainingError ||
+    err instanceof Errors.CircuitOpenError;
+}
+
+/**
+ * Normalizes middleware options and fills in defaults. Invalid header
+ * options throw here, when the middleware is created, rather than upon
+ * every request.
+ */
+function buildConfig(options) {
+  options = options || {};
+  const config = {
+    operation: options.operation || defaultOperation,
+    statusCode: defaultIfUndefined(options.statusCode, 429),
+    body: defaultIfUndefined(options.body, 'Too Many Requests'),
+    failOpen: defaultIfUndefined(options.failOpen, true),
+    errorStatusCode: defaultIfUndefined(options.errorStatusCode, 503),
+    errorBody: defaultIfUndefined(options.errorBody, 'Service Unavailable'),
+    headers: options.headers === true ? {} : options.headers
+  };
+  if (config.headers) {
+    headers.validateOptions(config.headers);
+  }
+  return config;
+}
+
+/**
+ * Returns the rate limit headers to add for `resultOrError`, or an empty
+ * object when headers are not enabled.
+ */
+function headersFor(config, resultOrError) {
+  if (!config.headers) {
+    return {};
+  }
+  return headers.toHeaders(resultOrError, config.headers);
+}
+
+function setHeaders(res, headerMap) {
+  Object.keys(headerMap).forEach((name) => res.setHeader(name, headerMap[name]));
+}
+
+/** Writes a status and body to a plain node `http.ServerResponse`. */
+function sendResponse(res, statusCode, body) {
+  res.statusCode = statusCode;
+  if (body !== null && typeof body === 'object') {
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(body));
+  } else {
+    res.setHeader('Content-Type', 'text/plain');
+    res.end(body === null || body === undefined ? '' : String(body));
+  }
+}
+
+/**
+ * Returns an Express/Connect middleware that performs a `hit()` for every
+ * request and rejects denied requests.
+ *
+ * The hit result is made available to later handlers as `req.divvy`.
+ *
+ * @param  {Client} client  the client (or anything with a `hit()` method)
+ * @param  {function} options.operation  function taking the request and returning
+ *     the operation to hit (default `{ method, path, ip }`)
+ * @param  {number} options.statusCode  status code for denied requests (default 429)
+ * @param  {string|object} options.body  body for denied requests; objects are sent
+ *     as JSON (default 'Too Many Requests')
+ * @param  {boolean} options.failOpen  whether to let requests through when the
+ *     server can't be reached (timeout, disconnected, backlog, or open circuit); when
+ *     false these are answered with `options.errorStatusCode` (default true)
+ * @param  {number} options.errorStatusCode  status code used when failing closed
+ *     (default 503)
+ * @param  {string|object} options.errorBody  body used when failing closed
+ *     (default 'Service Unavailable')
+ * @param  {boolean|object} options.headers  when set, add rate limit headers to every
+ *     response; an object is passed as options to `headers.toHeaders()` (default false)
+ */
+function express(client, options) {
+  const config = buildConfig(options);
+
+  return function divvyMiddleware(req, res, next) {
+    let result;
+    try {
+      result = client.hit(config.operation(req));
+    } catch (err) {
+      next(err);
+      return;
+    }
+
+    result.then((quota) => {
+      req.divvy = quota;
+      setHeaders(res, headersFor(config, quota));
+      if (quota.isAllowed) {
+        next();
+      } else {
+        sendResponse(res, config.statusCode, config.body);
+      }
+    }, (err) => {
+      if (!isUnavailableError(err)) {
+        next(err);
+        return;
+      }
+      setHeaders(res, headersFor(config, err));
+      if (config.failOpen) {
+        next();
+      } else {
+        sendResponse(res, config.errorStatusCode, config.errorBody);
+      }
+    }).catch(next);
+  };
+}
+
+/**
+ * Returns a Koa (v2) middleware that performs a `hit()` for every request
+ * and rejects denied requests.
+ *
+ * The hit result is made available to later middleware as `ctx.state.divvy`.
+ * Options are the same as for `express()`; the operation builder is called
+ * with the Koa context.
+ *
+ * @param  {Client} client  the client (or anything with a `hit()` method)
+ * @param  {object} options  see `express()`
+ */
+function koa(client, options) {
+  const config = buildConfig(options);
+  if (!options || !options.operation) {
+    config.operation = (ctx) => defaultOperation(ctx.request);
+  }
+
+  return function divvyMiddleware(ctx, next) {
+    return Promise.resolve()
+      .then(() => client.hit(config.operation(ctx)))
+      .then((quota) => {
+        ctx.state.divvy = quota;
+        ctx.set(headersFor(config, quota));
+        if (quota.isAllowed) {
+          return next();
+        }
+        ctx.status = config.statusCode;
+        ctx.body = config.body;
+      }, (err) => {
+        if (!isUnavailableError(err)) {
+          throw err;
+        }
+        ctx.set(headersFor(config, err));
+        if (config.failOpen) {
+          return next();
+        }
+        ctx.status = config.errorStatusCode;
+        ctx.body = config.errorBody;
+      });
+  };
+}
+
+module.exports = {
+  express: express,
+  koa: koa,
+  defaultOperation: defaultOperation
+};
@@ -0,0 +1,133 @@
+'use strict';
+
+const Client = require('./client');
+const Errors = require('./errors');
+const EventEmitter = require('events').EventEmitter;
+
+/**
+ * A pool of Divvy connections to a single server.
+ *
+ * The pool keeps `options.size` independent `Client` instances, each with
+ * its own socket, request queues and reconnect logic. Every `hit()` is sent
+ * to the least-loaded connected client, so a single slow socket only
+ * stalls the requests that were sent over it.
+ *
+ * Events: `connected` is emitted when the first client of the pool is
+ * connected, `disconnected` when the last one is disconnected. `error`
+ * events of the underlying clients are forwarded.
+ */
+class Pool extends EventEmitter {
+
+  /**
+   * Constructor.
+   *
+   * @param  {string} host    server hostname
+   * @param  {number} port    server port number
+   * @param  {number} options.size  number of connections to keep, a positive integer;
+   *     other values throw `ConfigurationError` (default 4)
+   * @param  {object} options  all other options are passed to each `Client`; note
+   *     that `options.maxPendingRequests` applies to each connection
+   */
+  constructor(host, port, options) {
+    super();
+
+    options = Object.assign({}, options);
+    this.size = options.size !== undefined ? options.size : 4;
+    delete options.size;
+
+    if (!Number.isInteger(this.size) || this.size < 1) {
+      throw new Errors.ConfigurationError(`Invalid pool size: ${this.size}`, 'size');
+    }
+
+    this.clients = [];
+
+    // Clients that are currently connected.
+    this.connectedClients = new Set();
+
+    for (let i = 0; i < this.size; i++) {
+      this.clients.push(this._createClient(host, port, options));
+    }
+  }
+
+  /** Connects all clients of the pool. */
+  connect() {
+    this.clients.forEach((client) => client.connect());
+  }
+
+  /** Closes all clients of the pool. */
+  close() {
+    this.clients.forEach((client) => client.close());
+  }
+
+  /** Returns true if at least one client of the pool is connected. */
+  get connected() {
+    return this.connectedClients.size > 0;
+  }
+
+  /**
+   * Perform a "hit" command on the least-loaded client. See
+   * `Client.hit()`.
+   */
+  hit(operation, timeout) {
+    return this._pickClient().hit(operation, timeout);
+  }
+
+  /**
+   * Perform "hit" commands for several operations on the least-loaded
+   * client. See `Client.hitMany()`.
+   */
+  hitMany(operations, timeout) {
+    return this._pickClient().hitMany(operations, timeout);
+  }
+
+  /** Returns total number of outstanding requests across the pool. */
+  _numPendingRequests() {
+    return this.clients.reduce((sum, client) => sum + client._numPendingRequests(), 0);
+  }
+
+  /**
+   * Returns the connected client with the fewest pending requests, or the
+   * least-loaded client overall if none is connected (which makes that
+   * client connect).
+   */
+  _pickClient() {
+    let best = null;
+    for (let client of this.clients) {
+      if (!best ||
+          (client.connected && !best.connected) ||
+          (client.connected === best.connected &&
+            client._numPendingRequests() < best._numPendingRequests())) {
+        best = client;
+      }
+    }
+    return best;
+  }
+
+  _createClient(host, port, options) {
+    const client = new Client(host, port, options);
+
+    client.on('connected', () => {
+      this.connectedClients.add(client);
+      if (this.connectedClients.size === 1) {
+        this.emit('connected');
+      }
+    });
+
+    // A failed connection attempt also emits `disconnected`, so only count
+    // clients that were actually connected.
+    client.on('disconnected', () => {
+      if (this.connectedClients.delete(client) && this.connectedClients.size === 0) {
+        this.emit('disconnected');
+      }
+    });
+
+    client.on('error', (err) => {
+      this.emit('error', err);
+    });
+
+    return client;
+  }
+
+}
+
+module.exports = Pool;
@@ -0,0 +1,90 @@
+'use strict';
+
+/** Escapes a label value for the Prometheus text format. */
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/** Renders a `{name="value",...}` label set, or '' if there are no labels. */
+function renderLabels(labels) {
+  const names = Object.keys(labels);
+  if (!names.length) {
+    return '';
+  }
+  return '{' + names.map((name) => `${name}="${escapeLabelValue(labels[name])}"`).join(',') + '}';
+}
+
+/** Formats a sample value; Prometheus spells infinity `+Inf`. */
+function formatValue(value) {
+  return value === Infinity ? '+Inf' : String(value);
+}
+
+/**
+ * Renders client stats (see `Client.getStats()`) in the Prometheus text
+ * exposition format.
+ *
+ * @param  {object} stats  the stats to render
+ * @param  {string} options.prefix  metric name prefix (default 'divvy_client')
+ * @param  {object} options.labels  labels to add to every sample (default none)
+ * @return {string}  the rendered metrics, ending with a newline
+ */
+function format(stats, options) {
+  options = options || {};
+  const prefix = options.prefix || 'divvy_client';
+  const baseLabels = options.labels || {};
+  const lines = [];
+
+  function metric(name, type, help, samples) {
+    lines.push(`# HELP ${prefix}_${name} ${help}`);
+    lines.push(`# TYPE ${prefix}_${name} ${type}`);
+    samples.forEach((sample) => {
+      const labels = renderLabels(Object.assign({}, baseLabels, sample.labels));
+      lines.push(`${prefix}_${sample.name || name}${labels} ${formatValue(sample.value)}`);
+    });
+  }
+
+  metric('hits_total', 'counter', 'Total number of hits.', [{ value: stats.hits }]);
+
+  metric('results_total', 'counter', 'Total number of hit results, by decision.', [
+    { labels: { result: 'allowed' }, value: stats.allowed },
+    { labels: { result: 'denied' }, value: stats.denied }
+  ]);
+
+  metric('fallback_total', 'counter', 'Total number of hits answered by the fallback limiter.',
+    [{ value: stats.fallback }]);
+
+  metric('cached_total', 'counter', 'Total number of hits answered by the deny cache.',
+    [{ value: stats.cached }]);
+
+  metric('errors_total', 'counter', 'Total number of failed hits, by error class.',
+    Object.keys(stats.errors).sort().map((name) => {
+      return { labels: { error: name }, value: stats.errors[name] };
+    }));
+
+  metric('reconnects_total', 'counter', 'Total number of automatic reconnect attempts.',
+    [{ value: stats.reconnects }]);
+
+  metric('pending_requests', 'gauge', 'Requests waiting to be sent.',
+    [{ value: stats.pending }]);
+
+  metric('in_flight_requests', 'gauge', 'Requests sent and awaiting a response.',
+    [{ value: stats.inFlight }]);
+
+  const latency = stats.latencyMillis;
+  const histogram = latency.buckets.map((bucket) => {
+    return {
+      name: 'hit_duration_seconds_bucket',
+      labels: { le: formatValue(bucket.le / 1000) },
+      value: bucket.count
+    };
+  });
+  histogram.push({ name: 'hit_duration_seconds_sum', value: latency.sum / 1000 });
+  histogram.push({ name: 'hit_duration_seconds_count', value: latency.count });
+  metric('hit_duration_seconds', 'histogram', 'Hit latency in seconds.', histogram);
+
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  format: format
+};
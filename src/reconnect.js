@@ -0,0 +1,97 @@
+'use strict';
+
+function defaultIfUndefined(val, defaultVal) {
+  return val !== undefined ? val : defaultVal;
+}
+
+const JITTERS = ['none', 'full', 'decorrelated'];
+
+/**
+ * Reconnect strategies.
+ *
+ * A strategy is an object with two methods:
+ *
+ * - `nextDelay(attempt)`: returns the delay in millis before reconnect
+ *   attempt number `attempt` (starting at 1), or `null` to give up.
+ * - `reset()`: called once a connection succeeds.
+ */
+module.exports = {
+
+  /**
+   * Waits a fixed delay between attempts.
+   *
+   * @param  {number} options.delayMillis  delay before each attempt (default 1000)
+   * @param  {number} options.maxAttempts  number of attempts before giving up; use
+   *     `Infinity` to never give up (default 5)
+   */
+  fixed: (options) => {
+    options = options || {};
+    const delayMillis = defaultIfUndefined(options.delayMillis, 1000);
+    const maxAttempts = defaultIfUndefined(options.maxAttempts, 5);
+
+    return {
+      nextDelay: (attempt) => attempt > maxAttempts ? null : delayMillis,
+      reset: () => {}
+    };
+  },
+
+  /**
+   * Waits exponentially longer between attempts, with optional jitter so
+   * that many clients don't reconnect in lockstep after a server restart.
+   *
+   * With 'full' jitter, the delay is uniformly random between 0 and the
+   * exponential delay. With 'decorrelated' jitter, the delay is random
+   * between `initialDelayMillis` and three times the previous delay.
+   *
+   * @param  {number} options.initialDelayMillis  delay before the first attempt
+   *     (default 100)
+   * @param  {number} options.maxDelayMillis  upper bound for any delay (default 30000)
+   * @param  {number} options.multiplier  growth factor per attempt (default 2)
+   * @param  {string} options.jitter  one of 'none', 'full' or 'decorrelated'
+   *     (default 'full')
+   * @param  {number} options.maxAttempts  number of attempts before giving up
+   *     (default `Infinity`)
+   * @param  {function} options.random  source of randomness in [0, 1)
+   *     (default `Math.random`)
+   */
+  exponential: (options) => {
+    options = options || {};
+    const initialDelayMillis = defaultIfUndefined(options.initialDelayMillis, 100);
+    const maxDelayMillis = defaultIfUndefined(options.maxDelayMillis, 30000);
+    const multiplier = defaultIfUndefined(options.multiplier, 2);
+    const jitter = defaultIfUndefined(options.jitter, 'full');
+    const maxAttempts = defaultIfUndefined(options.maxAttempts, Infinity);
+    const random = options.random || Math.random;
+
+    if (JITTERS.indexOf(jitter) < 0) {
+      throw new Error(`Invalid jitter: "${jitter}"`);
+    }
+
+    let previousDelay = initialDelayMillis;
+
+    return {
+      nextDelay: (attempt) => {
+        if (attempt > maxAttempts) {
+          return null;
+        }
+
+        let delay;
+        if (jitter === 'decorrelated') {
+          delay = initialDelayMillis + random() * (previousDelay * 3 - initialDelayMillis);
+          previousDelay = Math.min(maxDelayMillis, delay);
+        } else {
+          delay = initialDelayMillis * Math.pow(multiplier, attempt - 1);
+          if (jitter === 'full') {
+            delay = random() * Math.min(maxDelayMillis, delay);
+          }
+        }
+
+        return Math.round(Math.min(maxDelayMillis, delay));
+      },
+      reset: () => {
+        previousDelay = initialDelayMillis;
+      }
+    };
+  }
+
+};
@@ -0,0 +1,103 @@
+'use strict';
+
+const EventEmitter = require('events').EventEmitter;
+const util = require('./util');
+
+/** Returns a predicate for a shadow matcher: a pattern or a function. */
+function toPredicate(matcher) {
+  if (typeof matcher === 'function') {
+    return matcher;
+  }
+  return (operation) => util.operationMatches(matcher, operation);
+}
+
+/**
+ * Shadow (dry-run) mode for a client, to see what new quotas would block
+ * before enforcing them.
+ *
+ * Hits are still sent to the server, but results for shadowed operations
+ * are always allowed: they are returned with `isAllowed: true` and
+ * `enforced: false`, and the server's real result is available as
+ * `shadowResult`. Other operations are enforced as usual.
+ *
+ * Events: `wouldDeny` is emitted with `{ operation, result }` whenever the
+ * server denies a shadowed operation, with its real result.
+ */
+class ShadowClient extends EventEmitter {
+
+  /**
+   * Constructor.
+   *
+   * @param  {Client} client  the client to send hits with
+   * @param  {object[]|function[]} options.match  operations to shadow: operation patterns
+   *     (see `util.operationMatches`) or functions taking the operation
+   *     (default: all operations)
+   */
+  constructor(client, options) {
+    super();
+
+    options = options || {};
+    this.client = client;
+
+    const predicates = options.match ? options.match.map(toPredicate) : [() => true];
+    this.isShadowed = (operation) => predicates.some((predicate) => predicate(operation));
+  }
+
+  /** Connects the client. */
+  connect() {
+    this.client.connect();
+  }
+
+  /** Closes the client. */
+  close() {
+    this.client.close();
+  }
+
+  /** Drains the client. See `Client.drain()`. */
+  drain(options) {
+    return this.client.drain(options);
+  }
+
+  /**
+   * Perform a "hit" command, never denying shadowed operations. See
+   * `Client.hit()`.
+   */
+  hit(operation, options) {
+    operation = util.removeNullOrUndefinedKeys(operation || {});
+    return this.client.hit(operation, options).then((result) => {
+      return this._shadowResult(operation, result);
+    });
+  }
+
+  /**
+   * Perform "hit" commands for several operations, never denying shadowed
+   * operations. See `Client.hitMany()`.
+   */
+  hitMany(operations, options) {
+    operations = (operations || []).map((op) => util.removeNullOrUndefinedKeys(op || {}));
+    return this.client.hitMany(operations, options).then((aggregate) => {
+      return util.aggregateResults(aggregate.results.map((result, i) => {
+        return this._shadowResult(operations[i], result);
+      }));
+    });
+  }
+
+  /** Returns the result to report for `operation`. */
+  _shadowResult(operation, result) {
+    if (!this.isShadowed(operation)) {
+      return result;
+    }
+
+    if (!result.isAllowed) {
+      this.emit('wouldDeny', { operation: operation, result: result });
+    }
+    return Object.assign({}, result, {
+      isAllowed: true,
+      enforced: false,
+      shadowResult: result
+    });
+  }
+
+}
+
+module.exports = ShadowClient;
@@ -0,0 +1,178 @@
+'use strict';
+
+const Client = require('./client');
+const Errors = require('./errors');
+const EventEmitter = require('events').EventEmitter;
+const HashRing = require('./hash-ring');
+const util = require('./util');
+
+/** Parses a `host:port` endpoint string. */
+function parseEndpoint(endpoint) {
+  const match = /^(.*):(\d+)$/.exec(endpoint);
+  if (!match) {
+    throw new Error(`Invalid endpoint: "${endpoint}"`);
+  }
+  return { host: match[1], port: parseInt(match[2], 10) };
+}
+
+/**
+ * A client for several Divvy servers, sharded by operation.
+ *
+ * Each `hit()` is routed to a server chosen by consistent hashing over the
+ * operation's canonical string (see `util.operationToString`), so a given
+ * bucket always lands on the same server, and only a minimal set of
+ * operations moves when servers are added or removed.
+ *
+ * Events: `connected` and `disconnected` are emitted with the endpoint
+ * string whenever one of the servers connects or disconnects. `error`
+ * events of the underlying clients are forwarded.
+ */
+class ShardedClient extends EventEmitter {
+
+  /**
+   * Constructor.
+   *
+   * @param  {string[]} endpoints  list of `host:port` server endpoints
+   * @param  {string[]} options.keys  operation keys to hash on; when given, only these
+   *     keys determine the server (default: all keys)
+   * @param  {number} options.replicas  number of hash ring points per server
+   *     (default 160)
+   * @param  {object} options  all other options are passed to each `Client`
+   */
+  constructor(endpoints, options) {
+    super();
+
+    options = Object.assign({}, options);
+    this.keys = options.keys || null;
+    this.ring = new HashRing([], { replicas: options.replicas });
+    delete options.keys;
+    delete options.replicas;
+
+    this.clientOptions = options;
+
+    // Map of endpoint string to `Client`.
+    this.clients = {};
+
+    (endpoints || []).forEach((endpoint) => this.addServer(endpoint));
+  }
+
+  /** Adds a server to the shard set; no-op if already present. */
+  addServer(endpoint) {
+    if (this.clients[endpoint]) {
+      return;
+    }
+    const parsed = parseEndpoint(endpoint);
+    this.clients[endpoint] = this._createClient(endpoint, parsed.host, parsed.port);
+    this.ring.add(endpoint);
+  }
+
+  /** Removes a server from the shard set and closes its connection. */
+  removeServer(endpoint) {
+    const client = this.clients[endpoint];
+    if (!client) {
+      return;
+    }
+    this.ring.remove(endpoint);
+    delete this.clients[endpoint];
+    client.close();
+  }
+
+  /** Connects to all servers. */
+  connect() {
+    Object.keys(this.clients).forEach((endpoint) => this.clients[endpoint].connect());
+  }
+
+  /** Closes all server connections. */
+  close() {
+    Object.keys(this.clients).forEach((endpoint) => this.clients[endpoint].close());
+  }
+
+  /**
+   * Perform a "hit" command on the server owning `operation`. See
+   * `Client.hit()`. Rejects with `DisconnectedError` when no servers are
+   * configured.
+   */
+  hit(operation, timeout) {
+    const endpoint = this.getEndpoint(operation);
+    if (!endpoint) {
+      return Promise.reject(new Errors.DisconnectedError('No servers configured.'));
+    }
+    return this.clients[endpoint].hit(operation, timeout);
+  }
+
+  /**
+   * Perform "hit" commands against several operations at once. See
+   * `Client.hitMany()`. Operations are grouped by owning server, each group
+   * is sent as one `hitMany()`, and the results are put back in order. Fails
+   * as a whole if any group fails.
+   */
+  hitMany(operations, options) {
+    if (!Array.isArray(operations) || !operations.length) {
+      return Promise.reject(new Errors.InvalidOperationError(
+        'hitMany() requires a non-empty array of operations.'));
+    }
+
+    // Map of endpoint string to the indexes of its operations.
+    const groups = {};
+    for (let i = 0; i < operations.length; i++) {
+      const endpoint = this.getEndpoint(operations[i]);
+      if (!endpoint) {
+        return Promise.reject(new Errors.DisconnectedError('No servers configured.'));
+      }
+      groups[endpoint] = groups[endpoint] || [];
+      groups[endpoint].push(i);
+    }
+
+    const results = new Array(operations.length);
+    const promises = Object.keys(groups).map((endpoint) => {
+      const indexes = groups[endpoint];
+      const group = indexes.map((i) => operations[i]);
+      return this.clients[endpoint].hitMany(group, options).then((aggregate) => {
+        aggregate.results.forEach((result, j) => {
+          results[indexes[j]] = result;
+        });
+      });
+    });
+
+    return Promise.all(promises).then(() => util.aggregateResults(results));
+  }
+
+  /** Returns the endpoint string of the server owning `operation`. */
+  getEndpoint(operation) {
+    operation = util.removeNullOrUndefinedKeys(operation || {});
+
+    if (this.keys) {
+      const picked = {};
+      this.keys.forEach((key) => {
+        if (operation[key] !== undefined) {
+          picked[key] = operation[key];
+        }
+      });
+      operation = picked;
+    }
+
+    const encoding = this.clientOptions.operationEncoding;
+    return this.ring.get(util.operationToString(operation, { encoding: encoding }));
+  }
+
+  _createClient(endpoint, host, port) {
+    const client = new Client(host, port, this.clientOptions);
+
+    client.on('connected', () => {
+      this.emit('connected', endpoint);
+    });
+
+    client.on('disconnected', () => {
+      this.emit('disconnected', endpoint);
+    });
+
+    client.on('error', (err) => {
+      this.emit('error', err);
+    });
+
+    return client;
+  }
+
+}
+
+module.exports = ShardedClient;
@@ -0,0 +1,107 @@
+'use strict';
+
+// Upper bounds, in millis, of the default latency histogram buckets.
+const DEFAULT_LATENCY_BUCKETS = [1, 2, 5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000];
+
+/**
+ * Counters and a latency histogram for a client's hits.
+ */
+class Stats {
+
+  /**
+   * Constructor.
+   *
+   * @param  {number[]} options.latencyBuckets  ascending upper bounds, in millis, of the
+   *     latency histogram buckets (default 1ms to 5s)
+   */
+  constructor(options) {
+    options = options || {};
+    this.latencyBuckets = options.latencyBuckets || DEFAULT_LATENCY_BUCKETS;
+    this.reset();
+  }
+
+  /** Zeroes all counters. */
+  reset() {
+    this.hits = 0;
+    this.allowed = 0;
+    this.denied = 0;
+    this.fallback = 0;
+    this.cached = 0;
+    this.errors = {};
+    this.reconnects = 0;
+    this.latencyCounts = this.latencyBuckets.map(() => 0);
+    this.latencyCount = 0;
+    this.latencySumMillis = 0;
+  }
+
+  /** Records a hit that resolved with `result` after `latencyMillis`. */
+  recordResult(result, latencyMillis) {
+    this.hits++;
+    if (result.isAllowed) {
+      this.allowed++;
+    } else {
+      this.denied++;
+    }
+    if (result.source === 'fallback') {
+      this.fallback++;
+    } else if (result.source === 'cache') {
+      this.cached++;
+    }
+    this._observeLatency(latencyMillis);
+  }
+
+  /** Records a hit that was rejected with `err` after `latencyMillis`. */
+  recordError(err, latencyMillis) {
+    this.hits++;
+    const name = (err && err.name) || 'Error';
+    this.errors[name] = (this.errors[name] || 0) + 1;
+    this._observeLatency(latencyMillis);
+  }
+
+  /** Records an automatic reconnect attempt. */
+  recordReconnect() {
+    this.reconnects++;
+  }
+
+  /**
+   * Returns a plain object copy of the stats. Latency bucket counts are
+   * cumulative: each bucket counts all hits at or below its bound `le`.
+   */
+  snapshot() {
+    let cumulative = 0;
+    const buckets = this.latencyBuckets.map((le, i) => {
+      cumulative += this.latencyCounts[i];
+      return { le: le, count: cumulative };
+    });
+    buckets.push({ le: Infinity, count: this.latencyCount });
+
+    return {
+      hits: this.hits,
+      allowed: this.allowed,
+      denied: this.denied,
+      fallback: this.fallback,
+      cached: this.cached,
+      errors: Object.assign({}, this.errors),
+      reconnects: this.reconnects,
+      latencyMillis: {
+        buckets: buckets,
+        sum: this.latencySumMillis,
+        count: this.latencyCount
+      }
+    };
+  }
+
+  _observeLatency(latencyMillis) {
+    this.latencyCount++;
+    this.latencySumMillis += latencyMillis;
+    for (let i = 0; i < this.latencyBuckets.length; i++) {
+      if (latencyMillis <= this.latencyBuckets[i]) {
+        this.latencyCounts[i]++;
+        return;
+      }
+    }
+  }
+
+}
+
+module.exports = Stats;
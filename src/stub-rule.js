@@ -0,0 +1,81 @@
+'use strict';
+
+const util = require('./util');
+
+/**
+ * Returns a predicate for a stub matcher: an operation pattern (see
+ * `util.operationMatches`), a function taking the operation, or undefined
+ * to match everything.
+ */
+function toPredicate(matcher) {
+  if (matcher === undefined || matcher === null) {
+    return () => true;
+  } else if (typeof matcher === 'function') {
+    return matcher;
+  }
+  return (operation) => util.operationMatches(matcher, operation);
+}
+
+/** Returns a result object, or the error itself, for a stub response. */
+function toResponse(response) {
+  if (response instanceof Error) {
+    return response;
+  }
+  return Object.assign({ isAllowed: true, currentCredit: 0, nextResetSeconds: 0 }, response);
+}
+
+/**
+ * A scripted response of `Client.Stub`, created by `stub.when(matcher)`.
+ * Call exactly one of the methods below to configure it.
+ */
+class StubRule {
+
+  constructor(matcher) {
+    this.matches = toPredicate(matcher);
+    this.numHits = 0;
+    this.responder = () => toResponse({});
+  }
+
+  /** Always answers with `result` (merged over an allowed result). */
+  respond(result) {
+    this.responder = () => toResponse(result);
+    return this;
+  }
+
+  /**
+   * Answers with each of `responses` in turn, then keeps answering with the
+   * last one. Responses that are `Error`s are rejected with.
+   */
+  respondSequence(responses) {
+    this.responder = (index) => toResponse(responses[Math.min(index, responses.length - 1)]);
+    return this;
+  }
+
+  /** Always rejects with `err`. */
+  reject(err) {
+    this.responder = () => err;
+    return this;
+  }
+
+  /** Allows the first `n` hits, counting down the credit, then denies. */
+  denyAfter(n) {
+    this.responder = (index) => {
+      return {
+        isAllowed: index < n,
+        currentCredit: Math.max(0, n - index - 1),
+        nextResetSeconds: 0
+      };
+    };
+    return this;
+  }
+
+  /** Returns the next response, as a result object or an `Error`. */
+  nextResponse() {
+    return this.responder(this.numHits++);
+  }
+
+}
+
+StubRule.toPredicate = toPredicate;
+
+module.exports = StubRule;
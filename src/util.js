@@ -1,39 +1,188 @@
 'use strict';
 
+const crypto = require('crypto');
+const Errors = require('./errors');
+
 // Whitespace and quote characters are not allowed.
 const KEY_VALUE_RE = /^[^\s"]+$/;
 
-module.exports = {
+// Control characters can't be carried by the line protocol at all.
+const CONTROL_CHAR_RE = /[\x00-\x1f\x7f]/;
 
-  assertValidOperation: (operation) => {
-    for (let key in operation) {
-      module.exports.assertValidKeyValue(key, operation[key]);
+// A single `"key"="value"` pair of a serialized operation.
+const PAIR_RE = /(?:^|\s+)"([^\s"]*)"="([^\s"]*)"(?=\s|$)/g;
+
+// Same, allowing backslash-escaped characters and whitespace inside quotes.
+const ESCAPED_PAIR_RE = /(?:^|\s+)"((?:[^"\\]|\\.)*)"="((?:[^"\\]|\\.)*)"(?=\s|$)/g;
+
+// Prefix of values replaced by the hash encoding.
+const HASH_PREFIX = 'sha256:';
+
+/**
+ * Operation encodings. Each takes a key or value string and returns the
+ * string to send inside quotes, or `null` if it can't be sent.
+ *
+ * - strict: strings without whitespace or quotes are sent as-is, anything
+ *   else is invalid.
+ * - escape: whitespace is sent as-is, and quotes and backslashes are
+ *   backslash-escaped; control characters are invalid.
+ * - percent: strings that strict would reject, or that contain '%', are
+ *   percent-encoded.
+ * - hash: strings that strict would reject, or that start with 'sha256:',
+ *   are replaced by a hash.
+ *
+ * The extra cases keep both encodings one-to-one: otherwise a value sent
+ * pre-encoded would collide with the value it encodes, and share its
+ * bucket.
+ */
+const ENCODINGS = {
+  strict: str => KEY_VALUE_RE.test(str) ? str : null,
+
+  escape: str => CONTROL_CHAR_RE.test(str) ? null : str.replace(/["\\]/g, '\\$&'),
+
+  percent: str => {
+    if (KEY_VALUE_RE.test(str) && str.indexOf('%') < 0) {
+      return str;
+    }
+    if (!str) {
+      return null;
+    }
+    try {
+      return encodeURIComponent(str);
+    } catch (err) {
+      // Lone surrogates can't be encoded.
+      return null;
     }
   },
 
-  assertValidKeyValue: (key, value) => {
-    if (!KEY_VALUE_RE.test(key)) {
-      throw new Error(`Invalid operation key: "${key}"`);
+  hash: str => {
+    if (KEY_VALUE_RE.test(str) && str.indexOf(HASH_PREFIX) !== 0) {
+      return str;
     }
+    return HASH_PREFIX + crypto.createHash('sha256').update(str).digest('hex').slice(0, 32);
+  }
+};
 
-    if (typeof value === 'number') {
-      return;
-    } else if (typeof value !== 'string') {
-      throw new Error(`Invalid operation value for key {$key}: not string or number: ${value}`);
-    }
+/** Converts a glob with `*` wildcards to an anchored regular expression. */
+function globToRegExp(glob) {
+  const escaped = glob.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`^${escaped.join('.*')}$`);
+}
+
+/** Returns the encoding function named by `options.encoding` (default 'strict'). */
+function getEncoding(options) {
+  const name = (options && options.encoding) || 'strict';
+  const encoding = ENCODINGS[name];
+  if (!encoding) {
+    throw new Error(`Unknown operation encoding: "${name}"`);
+  }
+  return encoding;
+}
+
+/** Encodes a key and value, throwing `InvalidOperationError` if not possible. */
+function encodeKeyValue(encoding, key, value) {
+  const encodedKey = encoding(key);
+  if (encodedKey === null) {
+    throw new Errors.InvalidOperationError(`Invalid operation key: "${key}"`);
+  }
+
+  if (typeof value === 'number') {
+    return { key: encodedKey, value: String(value) };
+  } else if (typeof value !== 'string') {
+    throw new Errors.InvalidOperationError(
+      `Invalid operation value for key "${key}": not string or number: ${value}`);
+  }
 
-    if (!KEY_VALUE_RE.test(value)) {
-      throw new Error(`Invalid operation value for key "${key}": "${value}"`);
+  const encodedValue = encoding(value);
+  if (encodedValue === null) {
+    throw new Errors.InvalidOperationError(`Invalid operation value for key "${key}": "${value}"`);
+  }
+  return { key: encodedKey, value: encodedValue };
+}
+
+module.exports = {
+
+  /** Returns true if `name` is a known operation encoding. */
+  isValidEncoding: name => ENCODINGS.hasOwnProperty(name),
+
+  /**
+   * Throws `InvalidOperationError` if `operation` can't be sent with the
+   * encoding named by `options.encoding` (default 'strict').
+   */
+  assertValidOperation: (operation, options) => {
+    for (let key in operation) {
+      module.exports.assertValidKeyValue(key, operation[key], options);
     }
   },
 
-  operationToString: (operation) => {
+  assertValidKeyValue: (key, value, options) => {
+    encodeKeyValue(getEncoding(options), key, value);
+  },
+
+  /**
+   * Returns the canonical string form of `operation` used in `HIT`
+   * commands: `"key"="value"` pairs, sorted by key. Keys and values are
+   * encoded with the encoding named by `options.encoding` (default
+   * 'strict'; see `ENCODINGS`).
+   */
+  operationToString: (operation, options) => {
     operation = operation || {};
-    module.exports.assertValidOperation(operation);
-    const pairs = Object.keys(operation).sort().map(k => `"${k}"="${operation[k]}"`);
+    const encoding = getEncoding(options);
+    const pairs = Object.keys(operation).sort().map(k => {
+      const encoded = encodeKeyValue(encoding, k, operation[k]);
+      return `"${encoded.key}"="${encoded.value}"`;
+    });
     return pairs.join(' ');
   },
 
+  /**
+   * Parses the operation part of a `HIT` command, as produced by
+   * `operationToString`. Returns `null` if it is malformed. With
+   * `options.encoding` 'escape', backslash escapes are decoded; other
+   * encodings are not reversible and are returned as sent.
+   */
+  stringToOperation: (str, options) => {
+    const escaped = !!options && options.encoding === 'escape';
+    const unescape = token => escaped ? token.replace(/\\(.)/g, '$1') : token;
+    const operation = {};
+    const rest = (str || '').replace(escaped ? ESCAPED_PAIR_RE : PAIR_RE, (match, key, value) => {
+      operation[unescape(key)] = unescape(value);
+      return '';
+    });
+    return rest.trim() ? null : operation;
+  },
+
+  /**
+   * Returns true if `operation` matches `pattern`: every key of the pattern
+   * must be present in the operation, with a value matching the pattern's
+   * value. Pattern values may use `*` as a wildcard, as in Divvy server
+   * configs. An empty pattern matches everything.
+   */
+  operationMatches: (pattern, operation) => {
+    pattern = pattern || {};
+    operation = operation || {};
+    return Object.keys(pattern).every(key => {
+      if (operation[key] === undefined || operation[key] === null) {
+        return false;
+      }
+      return globToRegExp(String(pattern[key])).test(String(operation[key]));
+    });
+  },
+
+  /**
+   * Combines the hit results of several operations: allowed only if all
+   * are allowed, with the lowest credit and the latest reset. The results
+   * themselves are kept as `results`.
+   */
+  aggregateResults: results => {
+    return {
+      results: results,
+      isAllowed: results.every(result => result.isAllowed),
+      currentCredit: Math.min.apply(null, results.map(result => result.currentCredit)),
+      nextResetSeconds: Math.max.apply(null, results.map(result => result.nextResetSeconds))
+    };
+  },
+
   removeNullOrUndefinedKeys: operation => {
     const updated = {};
 
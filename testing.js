@@ -0,0 +1,8 @@
+'use strict';
+
+/**
+ * Test helpers, available as `require('@button/divvy-client/testing')`.
+ */
+module.exports = {
+  FakeServer: require('./src/fake-server')
+};
@@ -0,0 +1,142 @@
+'use strict';
+
+const assert = require('assert');
+
+const CircuitBreaker = require('../src/circuit-breaker');
+const Errors = require('../src/errors');
+
+describe('src/circuit-breaker', () => {
+
+  var now;
+  var breaker;
+  var events;
+
+  beforeEach(() => {
+    now = 0;
+    events = [];
+    breaker = new CircuitBreaker({
+      windowMillis: 1000,
+      numBuckets: 10,
+      minRequests: 4,
+      failureThreshold: 0.5,
+      openMillis: 500,
+      now: () => now
+    });
+    breaker.on('stateChange', (event) => events.push(event));
+  });
+
+  it('starts closed', () => {
+    assert.equal(breaker.state, 'closed');
+    assert(breaker.allowRequest());
+  });
+
+  it('does not open below the minimum number of requests', () => {
+    breaker.onFailure();
+    breaker.onFailure();
+    breaker.onFailure();
+    assert.equal(breaker.state, 'closed');
+  });
+
+  it('opens at the failure threshold', () => {
+    breaker.onSuccess();
+    breaker.onSuccess();
+    breaker.onFailure();
+    assert.equal(breaker.state, 'closed');
+    breaker.onFailure();
+    assert.equal(breaker.state, 'open');
+    assert(!breaker.allowRequest());
+    assert.deepEqual(events, [{ state: 'open', previousState: 'closed' }]);
+  });
+
+  it('forgets outcomes outside the window', () => {
+    breaker.onFailure();
+    breaker.onFailure();
+    breaker.onFailure();
+    now += 1000;
+    breaker.onFailure();
+    assert.equal(breaker.state, 'closed');
+  });
+
+  it('probes after the open period and closes on success', () => {
+    for (let i = 0; i < 4; i++) {
+      breaker.onFailure();
+    }
+    now += 499;
+    assert(!breaker.allowRequest());
+
+    now += 1;
+    assert(breaker.allowRequest());
+    assert.equal(breaker.state, 'halfOpen');
+
+    // Only one probe at a time.
+    assert(!breaker.allowRequest());
+
+    breaker.onSuccess();
+    assert.equal(breaker.state, 'closed');
+    assert.deepEqual(events.map((event) => event.state), ['open', 'halfOpen', 'closed']);
+  });
+
+  it('reopens when a probe fails', () => {
+    for (let i = 0; i < 4; i++) {
+      breaker.onFailure();
+    }
+    now += 500;
+    assert(breaker.allowRequest());
+    breaker.onFailure();
+    assert.equal(breaker.state, 'open');
+
+    now += 499;
+    assert(!breaker.allowRequest());
+  });
+
+  it('releases probes of aborted requests', () => {
+    for (let i = 0; i < 4; i++) {
+      breaker.onFailure();
+    }
+    now += 500;
+    assert(breaker.allowRequest());
+    breaker.onError(new Errors.AbortError('Aborted.'));
+    assert.equal(breaker.state, 'halfOpen');
+    assert(breaker.allowRequest());
+  });
+
+  it('does not count exceeded deadlines', () => {
+    for (let i = 0; i < 4; i++) {
+      breaker.onError(new Errors.DeadlineExceededError('Deadline exceeded.'));
+    }
+    assert.equal(breaker.state, 'closed');
+
+    for (let i = 0; i < 4; i++) {
+      breaker.onFailure();
+    }
+    now += 500;
+    assert(breaker.allowRequest());
+    breaker.onError(new Errors.DeadlineExceededError('Deadline exceeded.'));
+    assert.equal(breaker.state, 'halfOpen');
+    assert(breaker.allowRequest());
+  });
+
+  it('releases probes of requests dropped from the backlog', () => {
+    for (let i = 0; i < 4; i++) {
+      breaker.onFailure();
+    }
+    now += 500;
+    assert(breaker.allowRequest());
+    breaker.onError(new Errors.BacklogError('Dropped in favor of a newer request.'));
+    assert.equal(breaker.state, 'halfOpen');
+    assert(breaker.allowRequest());
+  });
+
+  it('only counts availability errors as failures', () => {
+    for (let i = 0; i < 4; i++) {
+      breaker.onError(new Errors.InvalidOperationError('Bad operation'));
+    }
+    assert.equal(breaker.state, 'closed');
+
+    for (let i = 0; i < 4; i++) {
+      breaker.onError(new Errors.TimeoutError('Timeout'));
+    }
+    assert.equal(breaker.state, 'open');
+  });
+
+});
@@ -0,0 +1,125 @@
+'use strict';
+
+const assert = require('assert');
+const PassThrough = require('stream').PassThrough;
+const cli = require('../src/cli');
+const FakeServer = require('../src/fake-server');
+
+/** Returns fake `{ stdin, stdout, stderr }` streams, with the output collected. */
+function fakeIo() {
+  const io = {
+    stdin: new PassThrough(),
+    stdout: new PassThrough(),
+    stderr: new PassThrough(),
+    out: '',
+    err: ''
+  };
+  io.stdout.on('data', (data) => {
+    io.out += data;
+  });
+  io.stderr.on('data', (data) => {
+    io.err += data;
+  });
+  return io;
+}
+
+describe('src/cli', () => {
+
+  describe('#parseArgs', () => {
+
+    it('parses options and the operation', () => {
+      const parsed = cli.parseArgs([
+        'hit', '--host', 'divvy', '--port', '1234', '--json', 'method=GET', 'path=/a=b'
+      ]);
+      assert.equal(parsed.command, 'hit');
+      assert.deepEqual(parsed.options, { host: 'divvy', port: 1234, json: true, repeat: 1 });
+      assert.deepEqual(parsed.operation, { method: 'GET', path: '/a=b' });
+    });
+
+    it('rejects invalid arguments', () => {
+      assert.throws(() => cli.parseArgs(['hit', '--bogus']), /Unknown option: --bogus/);
+      assert.throws(() => cli.parseArgs(['hit', '--repeat', '0']), /positive integer/);
+      assert.throws(() => cli.parseArgs(['hit', '--port']), /Missing value for --port/);
+      assert.throws(() => cli.parseArgs(['hit', 'method']), /Expected key=value/);
+    });
+
+  });
+
+  describe('#main', () => {
+    var server;
+    var port;
+
+    beforeEach(() => {
+      server = new FakeServer({
+        buckets: [{ operation: { path: '/login' }, creditLimit: 2, resetSeconds: 60 }]
+      });
+      return server.listen().then((p) => {
+        port = p;
+      });
+    });
+
+    afterEach(() => server.close());
+
+    it('prints the result and exits with 0 when allowed', () => {
+      const io = fakeIo();
+      return cli.main(['hit', '--port', `${port}`, 'path=/login'], io).then((exitCode) => {
+        assert.equal(exitCode, cli.EXIT_ALLOWED);
+        assert.equal(io.out, 'allowed currentCredit=1 nextResetSeconds=60\n');
+        assert.deepEqual(server.hits, [{ path: '/login' }]);
+      });
+    });
+
+    it('repeats hits and exits with 1 when denied', () => {
+      const io = fakeIo();
+      const argv = ['hit', '--port', `${port}`, '--repeat', '3', '--json', 'path=/login'];
+      return cli.main(argv, io).then((exitCode) => {
+        assert.equal(exitCode, cli.EXIT_DENIED);
+        const results = io.out.trim().split('\n').map((line) => JSON.parse(line));
+        assert.deepEqual(results.map((result) => result.isAllowed), [true, true, false]);
+      });
+    });
+
+    it('exits with 2 on errors', () => {
+      const io = fakeIo();
+      server.queueError('unknown-command');
+      return cli.main(['hit', '--port', `${port}`], io).then((exitCode) => {
+        assert.equal(exitCode, cli.EXIT_ERROR);
+        assert.equal(io.err, 'Error: unknown-command\n');
+      });
+    });
+
+    it('exits with 2 and prints usage on bad arguments', () => {
+      const io = fakeIo();
+      return cli.main(['frob'], io).then((exitCode) => {
+        assert.equal(exitCode, cli.EXIT_ERROR);
+        assert(/^Error: Unknown command: frob\n\nUsage:/.test(io.err));
+      });
+    });
+
+    it('runs hits from the REPL over one connection', () => {
+      const io = fakeIo();
+      let connections = 0;
+      server.server.on('connection', () => connections++);
+
+      const promise = cli.main(['repl', '--port', `${port}`], io);
+      io.stdin.write('hit path=/login\n');
+      io.stdin.write('--repeat 2 path=/login\n');
+      io.stdin.write('bogus\n');
+      io.stdin.end('quit\n');
+
+      return promise.then((exitCode) => {
+        assert.equal(exitCode, cli.EXIT_ALLOWED);
+        const lines = io.out.split('divvy> ').join('').trim().split('\n');
+        assert.deepEqual(lines, [
+          'allowed currentCredit=1 nextResetSeconds=60',
+          'allowed currentCredit=0 nextResetSeconds=60',
+          'denied currentCredit=0 nextResetSeconds=60'
+        ]);
+        assert.equal(io.err, 'Error: Unknown command: bogus\n');
+        assert.equal(connections, 1);
+      });
+    });
+
+  });
+
+});
@@ -2,12 +2,18 @@
 
 const assert = require('assert');
 const net = require('net');
+const os = require('os');
+const path = require('path');
 const sinon = require('sinon');
+const tls = require('tls');
 
 const carrier = require('carrier');
 
 const Errors = require('../src/errors');
 const Client = require('../src/client');
+const ConcurrencyLimit = require('../src/concurrency-limit');
+const FakeServer = require('../src/fake-server');
+const Reconnect = require('../src/reconnect');
 const Bluebird = require('bluebird');
 
 describe('src/client', () => {
@@ -93,6 +99,90 @@ describe('src/client', () => {
       }).catch(done);
     });
 
+    it('rejects ERR responses with a ServerError', (done) => {
+      expectedClientMessage = 'HIT "name"="test"';
+      mockServerResponse = 'ERR unknown-command "Unrecognized command: HIT"';
+
+      client.hit({ name: 'test' }).then(() => {
+        done(new Error('Expected rejection'));
+      }).catch((err) => {
+        assert(err instanceof Errors.ServerError);
+        assert.equal(err.code, 'unknown-command');
+        assert.equal(err.message, 'Unrecognized command: HIT');
+        done();
+      }).catch(done);
+    });
+
+    it('rejects invalid-operation responses with an InvalidOperationError', (done) => {
+      expectedClientMessage = 'HIT "name"="test"';
+      mockServerResponse = 'ERR invalid-operation';
+
+      client.hit({ name: 'test' }).then(() => {
+        done(new Error('Expected rejection'));
+      }).catch((err) => {
+        assert(err instanceof Errors.InvalidOperationError);
+        assert.equal(err.code, 'invalid-operation');
+        assert.equal(err.message, 'invalid-operation');
+        done();
+      }).catch(done);
+    });
+
+    it('rejects non-integer fields with a BadResponseError', (done) => {
+      expectedClientMessage = 'HIT "name"="test"';
+      mockServerResponse = 'OK true 1.5 abc';
+
+      client.hit({ name: 'test' }).then(() => {
+        done(new Error('Expected rejection'));
+      }).catch((err) => {
+        assert(err instanceof Errors.BadResponseError);
+        assert.equal(err.message, 'OK true 1.5 abc');
+        done();
+      }).catch(done);
+    });
+
+    it('counts hits in stats', (done) => {
+      expectedClientMessage = 'HIT "name"="test"';
+      mockServerResponse = 'OK false 0 0';
+
+      client.hit({ name: 'test' }).then(() => {
+        const stats = client.getStats();
+        assert.equal(stats.hits, 1);
+        assert.equal(stats.allowed, 0);
+        assert.equal(stats.denied, 1);
+        assert.equal(stats.pending, 0);
+        assert.equal(stats.inFlight, 0);
+        assert.equal(stats.latencyMillis.count, 1);
+
+        mockServerResponse = 'garbage';
+        return client.hit({ name: 'test' }).catch(() => {
+          assert.deepEqual(client.getStats().errors, { BadResponseError: 1 });
+          done();
+        });
+      }).catch(done);
+    });
+
+    it('sends escaped operations with the escape encoding', (done) => {
+      const escapingClient = new Client('', server.address().port, {
+        operationEncoding: 'escape'
+      });
+      expectedClientMessage = 'HIT "path"="/a b" "ua"="\\"quoted\\""';
+      mockServerResponse = 'OK true 1 2';
+
+      escapingClient.hit({ ua: '"quoted"', path: '/a b' }).then(() => {
+        escapingClient.close();
+        done();
+      }).catch(done);
+    });
+
+    it('throws InvalidOperationError for invalid operations', () => {
+      assert.throws(() => client.hit({ path: '/a b' }), Errors.InvalidOperationError);
+    });
+
+    it('rejects unknown operation encodings', () => {
+      assert.throws(() => new Client('', 0, { operationEncoding: 'rot13' }),
+        /Unknown operation encoding/);
+    });
+
     it('emits an event when disconnected', (done) => {
       client.on('disconnected', () => {
         assert.equal(false, client.connected);
@@ -124,6 +214,179 @@ describe('src/client', () => {
     });
   });
 
+  describe('transport tests', () => {
+    var server;
+    var client;
+
+    beforeEach(() => {
+      server = new FakeServer();
+    });
+
+    afterEach(() => {
+      client.close();
+      return server.close();
+    });
+
+    it('connects to a Unix domain socket', () => {
+      const socketPath = path.join(os.tmpdir(), `divvy-client-test-${process.pid}.sock`);
+      return server.listen(socketPath).then(() => {
+        client = new Client(null, null, { path: socketPath });
+        return client.hit({ method: 'GET' });
+      }).then((result) => {
+        assert.equal(result.isAllowed, true);
+        assert.deepEqual(server.hits, [{ method: 'GET' }]);
+      });
+    });
+
+    it('reconnects to a Unix domain socket', () => {
+      const socketPath = path.join(os.tmpdir(), `divvy-client-test-${process.pid}.sock`);
+      return server.listen(socketPath).then(() => {
+        client = new Client(null, null, { path: socketPath, throttleConnect: false });
+        return client.hit({});
+      }).then(() => {
+        const reconnected = new Promise((resolve) => client.once('connected', resolve));
+        server.disconnectAll();
+        return reconnected;
+      }).then(() => client.hit({})).then((result) => {
+        assert.equal(result.isAllowed, true);
+        assert.equal(server.hits.length, 2);
+      });
+    });
+
+    describe('tls', () => {
+      var connectStub;
+
+      afterEach(() => {
+        connectStub.restore();
+      });
+
+      it('connects over TLS with the given options', () => {
+        return server.listen().then((port) => {
+          // Stands in for a TLS socket; the protocol on top is the same.
+          connectStub = sinon.stub(tls, 'connect', (options, onConnected) => {
+            return net.connect(options.port, options.host, onConnected);
+          });
+
+          client = new Client('localhost', port, {
+            tls: { ca: 'CA', cert: 'CERT', key: 'KEY', servername: 'divvy.example.com' }
+          });
+          return client.hit({});
+        }).then((result) => {
+          assert.equal(result.isAllowed, true);
+          assert(connectStub.calledOnce);
+          assert.deepEqual(connectStub.firstCall.args[0], {
+            ca: 'CA',
+            cert: 'CERT',
+            key: 'KEY',
+            servername: 'divvy.example.com',
+            host: 'localhost',
+            port: server.port
+          });
+        });
+      });
+
+      it('connects over TLS to a Unix domain socket', () => {
+        const socketPath = path.join(os.tmpdir(), `divvy-client-test-${process.pid}.sock`);
+        return server.listen(socketPath).then(() => {
+          connectStub = sinon.stub(tls, 'connect', (options, onConnected) => {
+            return net.connect(options.path, onConnected);
+          });
+
+          client = new Client(null, null, { path: socketPath, tls: true });
+          return client.hit({});
+        }).then((result) => {
+          assert.equal(result.isAllowed, true);
+          assert.deepEqual(connectStub.firstCall.args[0], { path: socketPath });
+        });
+      });
+    });
+  });
+
+  describe('configuration tests', () => {
+    var server;
+    var client;
+
+    beforeEach(() => {
+      server = new FakeServer();
+      return server.listen();
+    });
+
+    afterEach(() => {
+      delete process.env.DIVVY_TEST_URL;
+      delete process.env.DIVVY_TEST_MAX_PENDING;
+      if (client) {
+        client.close();
+        client = null;
+      }
+      return server.close();
+    });
+
+    it('rejects invalid options with ConfigurationError', () => {
+      assert.throws(() => new Client('', 0, { defaultCommandTimeoutMillis: NaN }),
+        (err) => err instanceof Errors.ConfigurationError &&
+          err.option === 'defaultCommandTimeoutMillis');
+      assert.throws(() => new Client('', 0, { maxPendingRequests: -1 }),
+        /Invalid maxPendingRequests: expected a positive integer, got -1/);
+      assert.throws(() => new Client('', 'http'), /Invalid port: expected a port number/);
+      assert.throws(() => new Client('', 70000), /Invalid port/);
+    });
+
+    it('accepts numeric-string and unset ports', () => {
+      assert.strictEqual(new Client('', '8400').port, 8400);
+      assert.strictEqual(new Client('', parseInt(undefined, 10)).port, 8321);
+      assert.strictEqual(new Client('', '').port, 8321);
+    });
+
+    it('creates a client from a connection string', () => {
+      client = Client.fromUrl(`divvy://localhost:${server.port}?timeout=500&maxPending=2`,
+        { throttleConnect: false });
+      assert.equal(client.defaultCommandTimeoutMillis, 500);
+      assert.equal(client.maxPendingRequests, 2);
+      assert.equal(client.throttleConnect, false);
+      return client.hit({ method: 'GET' }).then((result) => {
+        assert.equal(result.isAllowed, true);
+        assert.deepEqual(server.hits, [{ method: 'GET' }]);
+      });
+    });
+
+    it('creates a client from the environment', () => {
+      process.env.DIVVY_TEST_URL = `divvy://localhost:${server.port}?maxPending=2`;
+      process.env.DIVVY_TEST_MAX_PENDING = '5';
+      client = Client.fromEnv('DIVVY_TEST');
+      assert.equal(client.maxPendingRequests, 5);
+      return client.hit({}).then((result) => {
+        assert.equal(result.isAllowed, true);
+      });
+    });
+  });
+
+  describe('#_parseLine', () => {
+    const client = new Client();
+
+    it('parses OK lines', () => {
+      assert.deepEqual(client._parseLine('OK false -1 0'), {
+        isAllowed: false,
+        currentCredit: -1,
+        nextResetSeconds: 0
+      });
+    });
+
+    it('rejects malformed OK lines', () => {
+      for (let line of ['OK', 'OK true 1', 'OK yes 1 2', 'OK true 1 2x', 'OK true 1 2 3', '']) {
+        assert(client._parseLine(line) instanceof Errors.BadResponseError, line);
+      }
+    });
+
+    it('parses ERR lines', () => {
+      const err = client._parseLine('ERR bad-operation Missing value');
+      assert(err instanceof Errors.InvalidOperationError);
+      assert.equal(err.code, 'bad-operation');
+      assert.equal(err.message, 'Missing value');
+
+      assert(client._parseLine('ERR') instanceof Errors.BadResponseError);
+    });
+  });
+
   describe('timeout tests', () => {
     // TODO(mikey): These tests should use a fake clock.
 
@@ -172,6 +435,116 @@ describe('src/client', () => {
     });
   });
 
+  describe('cancellation tests', () => {
+    // Fake server that never responds.
+    var server;
+
+    // Test client.
+    var client;
+
+    /** Minimal stand-in for an `AbortSignal`. */
+    class FakeSignal {
+      constructor() {
+        this.aborted = false;
+        this.listeners = [];
+      }
+
+      addEventListener(type, listener) {
+        this.listeners.push(listener);
+      }
+
+      removeEventListener(type, listener) {
+        this.listeners = this.listeners.filter((l) => l !== listener);
+      }
+
+      abort() {
+        this.aborted = true;
+        this.listeners.forEach((listener) => listener());
+      }
+    }
+
+    beforeEach((done) => {
+      server = net.createServer(() => {});
+      server.on('listening', () => {
+        client = new Client('', server.address().port);
+        client.once('connected', done);
+        client.connect();
+      });
+      server.listen(0);
+    });
+
+    afterEach(() => {
+      client.close();
+      server.close();
+    });
+
+    it('still accepts a plain timeout', () => {
+      return client.hit({}, 10).catch((err) => err).then((err) => {
+        assert(err instanceof Errors.TimeoutError);
+        assert(!(err instanceof Errors.DeadlineExceededError));
+      });
+    });
+
+    it('rejects when the signal is aborted', () => {
+      const signal = new FakeSignal();
+      const promise = client.hit({}, { signal: signal }).catch((err) => err);
+      signal.abort();
+
+      return promise.then((err) => {
+        assert(err instanceof Errors.AbortError);
+        assert.equal(signal.listeners.length, 0);
+      });
+    });
+
+    it('rejects immediately when the signal is already aborted', () => {
+      const signal = new FakeSignal();
+      signal.abort();
+
+      return client.hit({}, { signal: signal }).catch((err) => err).then((err) => {
+        assert(err instanceof Errors.AbortError);
+        assert.equal(client._numPendingRequests(), 0);
+      });
+    });
+
+    it('rejects at the deadline', () => {
+      const options = { deadline: new Date(Date.now() + 10), timeout: 1000 };
+      return client.hit({}, options).catch((err) => err).then((err) => {
+        assert(err instanceof Errors.DeadlineExceededError);
+        assert(err instanceof Errors.TimeoutError);
+      });
+    });
+
+    it('rejects with TimeoutError if the timeout comes first', () => {
+      const options = { deadline: Date.now() + 1000, timeout: 10 };
+      return client.hit({}, options).catch((err) => err).then((err) => {
+        assert(err instanceof Errors.TimeoutError);
+        assert(!(err instanceof Errors.DeadlineExceededError));
+      });
+    });
+
+    it('rejects immediately when the deadline has passed', () => {
+      return client.hit({}, { deadline: Date.now() - 1 }).catch((err) => err).then((err) => {
+        assert(err instanceof Errors.DeadlineExceededError);
+        assert.equal(client._numPendingRequests(), 0);
+      });
+    });
+
+    it('does not send aborted requests', () => {
+      client.close();
+      const signal = new FakeSignal();
+      const promise = client.hit({}, { signal: signal }).catch((err) => err);
+      assert.equal(client.requestQueue.length, 1);
+      signal.abort();
+
+      return promise.then((err) => {
+        assert(err instanceof Errors.AbortError);
+        return new Promise((resolve) => client.once('connected', resolve));
+      }).then(() => {
+        assert.equal(client.responseQueue.length, 0);
+      });
+    });
+  });
+
   describe('autoreconnect tests', () => {
     // Fake server.
     var server;
@@ -244,106 +617,1221 @@ describe('src/client', () => {
       client.connect();
     });
 
-  });
-
-  describe('maxPendingRequests tests', () => {
-    // Fake server.
-    var server;
-    var serverPort;
+    it('emits reconnecting with the strategy delay', (done) => {
+      const client = new Client('', serverPort, {
+        autoReconnect: true,
+        reconnectStrategy: Reconnect.exponential({ initialDelayMillis: 100, jitter: 'none' })
+      });
 
-    beforeEach((done) => {
-      server = net.createServer(function(conn) {
-        this.emit('client-connected', conn);
-        carrier.carry(conn, () => {
-          setTimeout(() => {
-            conn.write('OK true 1 2\n');
-          }, 100);
-        });
+      server.on('client-connected', (conn) => {
+        conn.destroy();
       });
 
-      server.on('listening', () => {
-        serverPort = server.address().port;
-        done();
+      const events = [];
+      client.on('reconnecting', (event) => {
+        events.push(event);
+        if (events.length === 1) {
+          client.once('connected', () => {
+            assert.deepEqual(events, [{ attempt: 1, delayMillis: 100 }]);
+            client.once('reconnecting', (event) => {
+              // Connecting again resets the strategy.
+              assert.deepEqual(event, { attempt: 1, delayMillis: 100 });
+              client.close();
+              done();
+            });
+          });
+          // The reconnect is scheduled after the event is emitted.
+          process.nextTick(() => clock.tick(100));
+        }
       });
 
-      server.listen(0);
+      client.connect();
     });
 
-    it('rejects after 3 pending requests', (done) => {
+    it('emits reconnectFailed when the strategy gives up', (done) => {
       const client = new Client('', serverPort, {
         autoReconnect: true,
-        maxPendingRequests: 3
+        reconnectStrategy: Reconnect.fixed({ delayMillis: 0, maxAttempts: 2 })
       });
 
-      const promises = [
-        client.hit({}).catch((err) => err),
-        client.hit({}).catch((err) => err),
-        client.hit({}).catch((err) => err),
-        client.hit({}).catch((err) => err),
-      ];
+      server.on('client-connected', (conn) => {
+        conn.destroy();
+      });
 
-      Bluebird.all(promises).then((results) => {
-        assert(!(results[0] instanceof Error));
-        assert(!(results[1] instanceof Error));
-        assert(!(results[2] instanceof Error));
-        assert(results[3] instanceof Errors.BacklogError);
+      let numReconnecting = 0;
+      client.on('error', () => {});
+      client.on('reconnecting', () => {
+        numReconnecting++;
+      });
+      client.on('reconnectFailed', (event) => {
+        assert.deepEqual(event, { attempts: 2 });
+        assert.equal(numReconnecting, 2);
         done();
-      }).catch(done);
+      });
+
+      // Never connects successfully, so attempts are never reset.
+      client.connect();
+      server.close();
     });
 
-    // Test is flaky on travis :-(
-    xit('rejects in-flight requests when disconnected', (done) => {
-      const client = new Client('', serverPort, {
-        autoReconnect: false,
-        maxPendingRequests: 3
+  });
+
+  describe('health check tests', () => {
+    var server;
+    var port;
+    var client;
+
+    beforeEach(() => {
+      server = new FakeServer();
+      return server.listen().then((p) => {
+        port = p;
       });
+    });
 
-      server.once('client-connected', (conn) => {
-        conn.destroy();
+    afterEach(() => {
+      client.close();
+      return server.close();
+    });
+
+    it('enables TCP keepalive', () => {
+      const setKeepAlive = sinon.spy(net.Socket.prototype, 'setKeepAlive');
+      client = new Client('localhost', port, {
+        keepAlive: true,
+        keepAliveInitialDelayMillis: 5000
       });
 
-      client.once('connected', () => {
-        const promises = [
-          client.hit({}).catch((err) => err),
-          client.hit({}).catch((err) => err)
-        ];
+      return client.hit({}).then(() => {
+        setKeepAlive.restore();
+        assert(setKeepAlive.calledWith(true, 5000));
+      }, (err) => {
+        setKeepAlive.restore();
+        throw err;
+      });
+    });
 
-        Bluebird.all(promises).then((results) => {
-          assert(results[0] instanceof Errors.DisconnectedError);
-          assert(results[1] instanceof Errors.DisconnectedError);
-          done();
-        }).catch(done);
+    it('probes idle connections', (done) => {
+      client = new Client('localhost', port, {
+        healthCheckIdleMillis: 20,
+        healthCheckOperation: { probe: 'divvy-client' }
+      });
+
+      server.once('hit', (operation) => {
+        assert.deepEqual(operation, { probe: 'divvy-client' });
+        assert.equal(client.getStats().hits, 0);
+        done();
+      });
+      client.connect();
+    });
+
+    it('resets the connection when a probe times out', (done) => {
+      client = new Client('localhost', port, {
+        healthCheckIdleMillis: 20,
+        healthCheckTimeoutMillis: 20,
+        throttleConnect: false
+      });
+      server.setLatency(500);
+
+      client.once('unhealthy', (event) => {
+        assert.deepEqual(event, { reason: 'healthCheck' });
+        client.once('disconnected', () => {
+          client.once('connected', () => done());
+        });
+      });
+      client.connect();
+    });
+
+    it('resets the connection once per probe timeout', (done) => {
+      client = new Client('localhost', port, {
+        healthCheckIdleMillis: 20,
+        healthCheckTimeoutMillis: 20,
+        maxConsecutiveTimeouts: 1,
+        throttleConnect: false
       });
+      server.setLatency(500);
 
+      const events = [];
+      client.on('unhealthy', (event) => events.push(event));
+      client.once('unhealthy', () => {
+        client.once('connected', () => {
+          setTimeout(() => {
+            assert.deepEqual(events, [{ reason: 'healthCheck' }]);
+            done();
+          }, 5);
+        });
+      });
       client.connect();
+    });
 
+    it('resets the connection after consecutive timeouts', () => {
+      client = new Client('localhost', port, {
+        maxConsecutiveTimeouts: 2,
+        throttleConnect: false
+      });
+      server.setLatency(500);
+
+      const events = [];
+      client.on('unhealthy', (event) => events.push(event));
+
+      return client.hit({}, 10).catch((err) => {
+        assert(err instanceof Errors.TimeoutError);
+        assert.equal(events.length, 0);
+        return client.hit({}, 10);
+      }).catch((err) => {
+        assert(err instanceof Errors.TimeoutError);
+        assert.deepEqual(events, [{ reason: 'consecutiveTimeouts' }]);
+        server.setLatency(0);
+        return client.hit({});
+      }).then((result) => {
+        assert.equal(result.isAllowed, true);
+      });
     });
 
+    it('does not count deadlines towards consecutive timeouts', () => {
+      client = new Client('localhost', port, { maxConsecutiveTimeouts: 1 });
+      server.setLatency(500);
+
+      const events = [];
+      client.on('unhealthy', (event) => events.push(event));
+
+      return client.hit({}, { deadline: Date.now() + 10 }).catch((err) => {
+        assert(err instanceof Errors.DeadlineExceededError);
+        assert.equal(events.length, 0);
+      });
+    });
   });
 
-  describe('Client.Stub', function() {
+  describe('drain tests', () => {
+    var server;
+    var port;
+    var client;
 
-    beforeEach(function() {
-      this.client = new Client.Stub();
+    beforeEach(() => {
+      server = new FakeServer({ latencyMillis: 20 });
+      return server.listen().then((p) => {
+        port = p;
+        client = new Client('localhost', port);
+      });
     });
 
-    it('is a no-op hit', function(done) {
-      this.client.hit({}).then(quota => {
-        assert.equal(quota.isAllowed, true);
-        assert.equal(quota.currentCredit, 0);
-        assert.equal(quota.nextResetSeconds, 0);
-        done();
+    afterEach(() => {
+      client.close();
+      return server.close();
+    });
+
+    it('waits for outstanding hits, then closes', () => {
+      const disconnected = sinon.spy();
+      client.on('disconnected', disconnected);
+
+      const hits = [client.hit({}), client.hit({})];
+      return client.drain().then(() => {
+        assert(disconnected.calledOnce);
+        return Bluebird.all(hits);
+      }).then((results) => {
+        assert.equal(results[0].isAllowed, true);
+        assert.equal(results[1].isAllowed, true);
       });
     });
 
-    it('does not error when calling connect', function() {
-      this.client.connect();
+    it('rejects new hits with DrainingError', () => {
+      client.hit({});
+      const drained = client.drain();
+      return client.hit({}).catch((err) => err).then((err) => {
+        assert(err instanceof Errors.DrainingError);
+        return drained;
+      });
+    });
+
+    it('closes after the timeout, rejecting outstanding hits', () => {
+      server.setLatency(500);
+      const hit = client.hit({}).catch((err) => err);
+      return client.drain({ timeout: 10 }).then(() => hit).then((err) => {
+        assert(err instanceof Errors.DisconnectedError);
+      });
+    });
+
+    it('resolves immediately when idle', () => {
+      return client.drain({ timeout: null }).then(() => {
+        assert.equal(client.clientSocket, null);
+      });
+    });
+
+    it('returns the same promise when called again', () => {
+      assert.strictEqual(client.drain(), client.drain());
+    });
+  });
+
+  describe('retainUnsentOnDisconnect tests', () => {
+    var server;
+    var port;
+    var client;
+
+    beforeEach(() => {
+      server = new FakeServer();
+      return server.listen().then((p) => {
+        port = p;
+      });
+    });
+
+    afterEach(() => {
+      client.close();
+      return server.close();
+    });
+
+    /** Stops the server, resolving once the client noticed. */
+    function stopServer() {
+      const disconnected = new Promise((resolve) => client.once('disconnected', resolve));
+      return server.close().then(() => disconnected);
+    }
+
+    /** Resolves once `count` more reconnect attempts have been scheduled. */
+    function reconnectAttempts(count) {
+      return new Promise((resolve) => {
+        const onReconnecting = () => {
+          if (--count === 0) {
+            client.removeListener('reconnecting', onReconnecting);
+            resolve();
+          }
+        };
+        client.on('reconnecting', onReconnecting);
+      });
+    }
+
+    /**
+     * Connects, stops the server, then makes a hit that stays unsent through
+     * two failed reconnect attempts. Resolves with the hit's promise.
+     */
+    function hitWhileDown(options) {
+      client = new Client('localhost', port, options);
+      client.on('error', () => {});
+      client.on('reconnectFailed', () => {});
+
+      let hit;
+      return client.hit({}).then(stopServer).then(() => {
+        hit = client.hit({ n: '1' }).catch((err) => err);
+        return reconnectAttempts(2);
+      }).then(() => ({ hit: hit }));
+    }
+
+    it('sends unsent hits once reconnected', () => {
+      let hit;
+      return hitWhileDown({
+        retainUnsentOnDisconnect: true,
+        reconnectStrategy: Reconnect.fixed({ delayMillis: 10, maxAttempts: Infinity })
+      }).then((pending) => {
+        hit = pending.hit;
+        server = new FakeServer();
+        return server.listen(port);
+      }).then(() => hit).then((result) => {
+        assert.equal(result.isAllowed, true);
+        assert.deepEqual(server.hits, [{ n: '1' }]);
+      });
+    });
+
+    it('rejects unsent hits on disconnect by default', () => {
+      client = new Client('localhost', port, {
+        reconnectStrategy: Reconnect.fixed({ delayMillis: 10, maxAttempts: Infinity })
+      });
+      client.on('error', () => {});
+
+      return client.hit({}).then(stopServer).then(() => {
+        const hit = client.hit({ n: '1' }).catch((err) => err);
+        return reconnectAttempts(2).then(() => hit);
+      }).then((err) => {
+        assert(err instanceof Errors.DisconnectedError);
+      });
+    });
+
+    it('rejects unsent hits when the reconnect strategy gives up', () => {
+      let hit;
+      const failed = hitWhileDown({
+        retainUnsentOnDisconnect: true,
+        reconnectStrategy: Reconnect.fixed({ delayMillis: 10, maxAttempts: 3 })
+      }).then((pending) => {
+        hit = pending.hit;
+        return new Promise((resolve) => client.once('reconnectFailed', resolve));
+      });
+
+      return failed.then(() => hit).then((err) => {
+        assert(err instanceof Errors.DisconnectedError);
+      });
+    });
+
+    it('rejects unsent hits when closed', () => {
+      return hitWhileDown({
+        retainUnsentOnDisconnect: true,
+        reconnectStrategy: Reconnect.fixed({ delayMillis: 10, maxAttempts: Infinity })
+      }).then((pending) => {
+        client.close();
+        return pending.hit;
+      }).then((err) => {
+        assert(err instanceof Errors.DisconnectedError);
+      });
+    });
+  });
+
+  describe('protocol desync tests', () => {
+    var server;
+    var client;
+
+    beforeEach(() => {
+      server = new FakeServer();
+      return server.listen().then((port) => {
+        client = new Client('localhost', port, { throttleConnect: false });
+      });
+    });
+
+    afterEach(() => {
+      client.close();
+      return server.close();
+    });
+
+    it('rejects in-flight requests and resets after a malformed response', () => {
+      const events = [];
+      client.on('protocolError', (err) => events.push(err));
+      client.on('unhealthy', (event) => events.push(event));
+      server.queueGarbage('GARBAGE');
+      server.setLatency(20);
+
+      const hits = [
+        client.hit({ n: '1' }).catch((err) => err),
+        client.hit({ n: '2' }).catch((err) => err)
+      ];
+      return Bluebird.all(hits).then((results) => {
+        assert(results[0] instanceof Errors.BadResponseError);
+        assert(results[1] instanceof Errors.ProtocolDesyncError);
+        assert.equal(results[1].line, 'GARBAGE');
+        assert(events[0] instanceof Errors.ProtocolDesyncError);
+        assert.deepEqual(events[1], { reason: 'protocolDesync' });
+
+        server.setLatency(0);
+        return client.hit({});
+      }).then((result) => {
+        assert.equal(result.isAllowed, true);
+      });
+    });
+
+    it('resets instead of throwing upon an unexpected response', () => {
+      const protocolError = new Promise((resolve) => client.once('protocolError', resolve));
+      server.queueResponse('OK true 1 60\nOK true 2 60');
+
+      return client.hit({}).then((result) => {
+        assert.deepEqual(result, { isAllowed: true, currentCredit: 1, nextResetSeconds: 60 });
+        return protocolError;
+      }).then((err) => {
+        assert(err instanceof Errors.ProtocolDesyncError);
+        assert.equal(err.line, 'OK true 2 60');
+        return client.hit({});
+      }).then((result) => {
+        assert.deepEqual(result, { isAllowed: true, currentCredit: 0, nextResetSeconds: 0 });
+      });
+    });
+
+    it('ignores lines buffered from a reset connection', () => {
+      const received = sinon.spy(client, '_receivedLine');
+      server.queueResponse('GARBAGE\nOK true 1 60\nOK true 2 60');
+
+      return client.hit({}).catch((err) => err).then((err) => {
+        assert(err instanceof Errors.BadResponseError);
+        assert.equal(received.callCount, 1);
+      });
+    });
+  });
+
+  describe('hitMany tests', () => {
+    var server;
+    var port;
+    var client;
+
+    beforeEach(() => {
+      server = new FakeServer({
+        buckets: [
+          { operation: { user: '*' }, creditLimit: 1, resetSeconds: 60, actorField: 'user' },
+          { operation: { ip: '*' }, creditLimit: 10, resetSeconds: 30, actorField: 'ip' }
+        ]
+      });
+      return server.listen().then((p) => {
+        port = p;
+        client = new Client('localhost', port);
+      });
+    });
+
+    afterEach(() => {
+      client.close();
+      return server.close();
+    });
+
+    it('resolves with the results and their aggregate', () => {
+      const operations = [{ user: 'jim' }, { ip: '10.0.0.1' }, { path: '/' }];
+      return client.hitMany(operations).then((result) => {
+        assert.deepEqual(result, {
+          results: [
+            { isAllowed: true, currentCredit: 0, nextResetSeconds: 60 },
+            { isAllowed: true, currentCredit: 9, nextResetSeconds: 30 },
+            { isAllowed: true, currentCredit: 0, nextResetSeconds: 0 }
+          ],
+          isAllowed: true,
+          currentCredit: 0,
+          nextResetSeconds: 60
+        });
+        assert.deepEqual(server.hits, operations);
+        return client.hitMany([{ user: 'jim' }, { ip: '10.0.0.1' }]);
+      }).then((result) => {
+        assert.equal(result.isAllowed, false);
+        assert.equal(result.results[1].isAllowed, true);
+        assert.equal(client.getStats().hits, 5);
+      });
+    });
+
+    it('writes all commands at once', () => {
+      return client.hit({}).then(() => {
+        const write = sinon.spy(client.clientSocket, 'write');
+        return client.hitMany([{ user: 'jim' }, { ip: '10.0.0.1' }]).then(() => {
+          assert(write.calledOnce);
+          assert.equal(write.firstCall.args[0], 'HIT "user"="jim"\nHIT "ip"="10.0.0.1"\n');
+        });
+      });
+    });
+
+    it('counts as a single request against the backlog', () => {
+      client = new Client('localhost', port, { maxPendingRequests: 1 });
+      const batch = client.hitMany([{ a: '1' }, { b: '2' }, { c: '3' }]);
+      return client.hit({}).catch((err) => err).then((err) => {
+        assert(err instanceof Errors.BacklogError);
+        return batch;
+      }).then((result) => {
+        assert.equal(result.results.length, 3);
+      });
+    });
+
+    it('shares a single timeout, and still consumes every response', () => {
+      server.setLatency(50);
+      return client.hitMany([{ ip: '10.0.0.1' }, { ip: '10.0.0.1' }], 10).catch((err) => err)
+        .then((err) => {
+          assert(err instanceof Errors.TimeoutError);
+          return client.hit({ path: '/' }, 1000);
+        }).then((result) => {
+          assert.deepEqual(result, { isAllowed: true, currentCredit: 0, nextResetSeconds: 0 });
+        });
+    });
+
+    it('rejects if any command fails', () => {
+      server.queueError('invalid-operation', 'Nope');
+      return client.hitMany([{ a: '1' }, { b: '2' }]).catch((err) => err).then((err) => {
+        assert(err instanceof Errors.InvalidOperationError);
+        return client.hit({ path: '/' });
+      }).then((result) => {
+        assert.equal(result.isAllowed, true);
+      });
+    });
+
+    it('answers locally when every operation is in the deny cache', () => {
+      client = new Client('localhost', port, { denyCache: true });
+      const operations = [{ user: 'jim' }, { user: 'bob' }];
+      return client.hitMany(operations).then(() => client.hitMany(operations)).then(() => {
+        return client.hitMany(operations);
+      }).then((result) => {
+        assert.equal(result.isAllowed, false);
+        assert.equal(result.results[0].source, 'cache');
+        assert.equal(server.hits.length, 4);
+      });
+    });
+
+    it('counts each operation as a hit in stats', () => {
+      server.queueError('invalid-operation', 'Nope');
+      return client.hitMany([{ a: '1' }, { b: '2' }]).catch((err) => err).then(() => {
+        return client.hitMany([{ a: '1' }, { b: '2' }, { c: '3' }]);
+      }).then(() => {
+        const stats = client.getStats();
+        assert.equal(stats.hits, 5);
+        assert.equal(stats.allowed, 3);
+        assert.deepEqual(stats.errors, { InvalidOperationError: 2 });
+      });
+    });
+
+    it('rejects an empty list of operations', () => {
+      return client.hitMany([]).catch((err) => err).then((err) => {
+        assert(err instanceof Errors.InvalidOperationError);
+        assert(/non-empty array/.test(err.message));
+      });
+    });
+  });
+
+  describe('logging tests', () => {
+    var server;
+    var port;
+    var client;
+    var logs;
+
+    // Records debug and info logs; has no warn or error methods.
+    const logger = {
+      debug: (message, fields) => logs.push({ level: 'debug', message: message, fields: fields }),
+      info: (message, fields) => logs.push({ level: 'info', message: message, fields: fields })
+    };
+
+    beforeEach(() => {
+      logs = [];
+      server = new FakeServer();
+      return server.listen().then((p) => {
+        port = p;
+      });
+    });
+
+    afterEach(() => {
+      client.close();
+      return server.close();
+    });
+
+    it('logs connection events', () => {
+      client = new Client('localhost', port, { logger: logger });
+      return client.hit({}).then(() => {
+        assert.deepEqual(logs, [{
+          level: 'info',
+          message: 'divvy: connected',
+          fields: { server: `localhost:${port}` }
+        }]);
+      });
+    });
+
+    it('traces the wire with redacted operations', () => {
+      client = new Client('localhost', port, {
+        logger: logger,
+        traceWire: true,
+        redact: ['user']
+      });
+
+      return client.hitMany([{ user: 'jim', path: '/' }, { ip: '10.0.0.1' }]).then(() => {
+        const trace = logs.filter((log) => log.level === 'debug');
+        assert.equal(trace.length, 3);
+
+        assert.equal(trace[0].message, 'divvy: sent');
+        assert.deepEqual(trace[0].fields.commands, [
+          'HIT "path"="/" "user"="[REDACTED]"',
+          'HIT "ip"="10.0.0.1"'
+        ]);
+        assert.equal(trace[0].fields.requestId, 1);
+        assert.equal(trace[0].fields.inFlight, 1);
+        assert.equal(trace[0].fields.pending, 0);
+        assert.equal(typeof trace[0].fields.queuedMillis, 'number');
+
+        assert.equal(trace[1].message, 'divvy: received');
+        assert.equal(trace[1].fields.requestId, 1);
+        assert.equal(trace[1].fields.line, 'OK true 0 0');
+        assert.equal(typeof trace[1].fields.elapsedMillis, 'number');
+        assert.equal(trace[2].fields.requestId, 1);
+      });
+    });
+
+    it('traces redacted values the encoding would reject', () => {
+      client = new Client('localhost', port, {
+        logger: logger,
+        traceWire: true,
+        redact: (key, value) => key === 'user' ? '<hidden value>' : (key === 'ip' ? null : value)
+      });
+
+      return Bluebird.all([
+        client.hit({ user: 'jim', path: '/' }),
+        client.hit({ ip: '10.0.0.1' })
+      ]).then((results) => {
+        assert.equal(results.length, 2);
+        const sent = logs.filter((log) => log.message === 'divvy: sent');
+        assert.deepEqual(sent.map((log) => log.fields.commands), [
+          ['HIT "path"="/" "user"="<hidden value>"'],
+          ['HIT "ip"="null"']
+        ]);
+      });
+    });
+
+    it('does not trace the wire by default', () => {
+      client = new Client('localhost', port, { logger: logger });
+      return client.hit({}).then(() => {
+        assert.equal(logs.filter((log) => log.level === 'debug').length, 0);
+      });
+    });
+  });
+
+  describe('maxPendingRequests tests', () => {
+    // Fake server.
+    var server;
+    var serverPort;
+
+    beforeEach((done) => {
+      server = net.createServer(function(conn) {
+        this.emit('client-connected', conn);
+        carrier.carry(conn, () => {
+          setTimeout(() => {
+            conn.write('OK true 1 2\n');
+          }, 100);
+        });
+      });
+
+      server.on('listening', () => {
+        serverPort = server.address().port;
+        done();
+      });
+
+      server.listen(0);
+    });
+
+    it('rejects after 3 pending requests', (done) => {
+      const client = new Client('', serverPort, {
+        autoReconnect: true,
+        maxPendingRequests: 3
+      });
+
+      const promises = [
+        client.hit({}).catch((err) => err),
+        client.hit({}).catch((err) => err),
+        client.hit({}).catch((err) => err),
+        client.hit({}).catch((err) => err),
+      ];
+
+      Bluebird.all(promises).then((results) => {
+        assert(!(results[0] instanceof Error));
+        assert(!(results[1] instanceof Error));
+        assert(!(results[2] instanceof Error));
+        assert(results[3] instanceof Errors.BacklogError);
+        done();
+      }).catch(done);
+    });
+
+    // Test is flaky on travis :-(
+    xit('rejects in-flight requests when disconnected', (done) => {
+      const client = new Client('', serverPort, {
+        autoReconnect: false,
+        maxPendingRequests: 3
+      });
+
+      server.once('client-connected', (conn) => {
+        conn.destroy();
+      });
+
+      client.once('connected', () => {
+        const promises = [
+          client.hit({}).catch((err) => err),
+          client.hit({}).catch((err) => err)
+        ];
+
+        Bluebird.all(promises).then((results) => {
+          assert(results[0] instanceof Errors.DisconnectedError);
+          assert(results[1] instanceof Errors.DisconnectedError);
+          done();
+        }).catch(done);
+      });
+
+      client.connect();
+
+    });
+
+  });
+
+  describe('overflow policy tests', () => {
+    var server;
+    var port;
+    var client;
+
+    beforeEach(() => {
+      server = new FakeServer({ latencyMillis: 20 });
+      return server.listen().then((p) => {
+        port = p;
+      });
+    });
+
+    afterEach(() => {
+      client.close();
+      return server.close();
+    });
+
+    /** Makes `count` hits with distinct operations, collecting errors. */
+    function hitMany(count) {
+      const promises = [];
+      for (let i = 0; i < count; i++) {
+        promises.push(client.hit({ n: `${i}` }).catch((err) => err));
+      }
+      return Bluebird.all(promises);
+    }
+
+    it('rejects unknown policies', () => {
+      assert.throws(() => {
+        client = new Client('localhost', port, { overflowPolicy: 'bogus' });
+      }, /Unknown overflow policy/);
+      client = new Client('localhost', port);
+    });
+
+    it('admits waiting hits once a disconnect makes room', () => {
+      client = new Client('localhost', port, {
+        maxPendingRequests: 1,
+        overflowPolicy: 'wait',
+        overflowWaitMillis: 1000,
+        retainUnsentOnDisconnect: true,
+        throttleConnect: false
+      });
+      client.on('error', () => {});
+      server.queueDisconnect();
+
+      const startMillis = Date.now();
+      return hitMany(3).then((results) => {
+        assert(results[0] instanceof Errors.DisconnectedError);
+        assert.equal(results[1].isAllowed, true);
+        assert.equal(results[2].isAllowed, true);
+        assert(Date.now() - startMillis < 500);
+      });
+    });
+
+    it('drops the oldest unsent request', () => {
+      client = new Client('localhost', port, {
+        maxPendingRequests: 3,
+        overflowPolicy: 'dropOldest'
+      });
+
+      return hitMany(4).then((results) => {
+        assert(results[0] instanceof Errors.BacklogError);
+        assert.equal(results[1].isAllowed, true);
+        assert.equal(results[3].isAllowed, true);
+        assert.deepEqual(server.hits.map((op) => op.n), ['1', '2', '3']);
+      });
+    });
+
+    it('rejects the newest request when all pending requests were sent', () => {
+      client = new Client('localhost', port, {
+        maxPendingRequests: 2,
+        overflowPolicy: 'dropOldest'
+      });
+
+      return client.hit({}).then(() => hitMany(3)).then((results) => {
+        assert.equal(results[0].isAllowed, true);
+        assert.equal(results[1].isAllowed, true);
+        assert(results[2] instanceof Errors.BacklogError);
+      });
+    });
+
+    it('waits for room', () => {
+      client = new Client('localhost', port, {
+        maxPendingRequests: 2,
+        overflowPolicy: 'wait',
+        overflowWaitMillis: 1000
+      });
+
+      return hitMany(5).then((results) => {
+        results.forEach((result) => assert.equal(result.isAllowed, true));
+        assert.deepEqual(server.hits.map((op) => op.n), ['0', '1', '2', '3', '4']);
+      });
+    });
+
+    it('rejects after waiting too long', () => {
+      client = new Client('localhost', port, {
+        maxPendingRequests: 1,
+        overflowPolicy: 'wait',
+        overflowWaitMillis: 5
+      });
+
+      return hitMany(2).then((results) => {
+        assert.equal(results[0].isAllowed, true);
+        assert(results[1] instanceof Errors.BacklogError);
+        assert.equal(server.hits.length, 1);
+      });
+    });
+
+    it('rejects waiting requests when closed', () => {
+      client = new Client('localhost', port, {
+        maxPendingRequests: 1,
+        overflowPolicy: 'wait',
+        overflowWaitMillis: 1000
+      });
+
+      const promise = hitMany(2);
+      client.once('connected', () => client.close());
+      return promise.then((results) => {
+        assert(results[0] instanceof Errors.DisconnectedError);
+        assert(results[1] instanceof Errors.DisconnectedError);
+      });
+    });
+
+    it('resolves with the default decision', () => {
+      client = new Client('localhost', port, {
+        maxPendingRequests: 1,
+        overflowPolicy: 'defaultDecision',
+        overflowDefaultDecision: { isAllowed: false, currentCredit: 0, nextResetSeconds: 1 }
+      });
+
+      return hitMany(2).then((results) => {
+        assert.equal(results[0].isAllowed, true);
+        assert.deepEqual(results[1], { isAllowed: false, currentCredit: 0, nextResetSeconds: 1 });
+        assert.equal(server.hits.length, 1);
+      });
+    });
+
+    it('applies an adaptive concurrency limit', () => {
+      const limit = ConcurrencyLimit.aimd({ initialLimit: 1 });
+      client = new Client('localhost', port, { concurrencyLimit: limit });
+
+      return hitMany(2).then((results) => {
+        assert.equal(results[0].isAllowed, true);
+        assert(results[1] instanceof Errors.BacklogError);
+        assert.equal(limit.limit(), 2);
+        return hitMany(2);
+      }).then((results) => {
+        assert.equal(results[0].isAllowed, true);
+        assert.equal(results[1].isAllowed, true);
+      });
+    });
+
+    it('never exceeds maxPendingRequests', () => {
+      const limit = ConcurrencyLimit.aimd({ initialLimit: 10 });
+      client = new Client('localhost', port, {
+        maxPendingRequests: 1,
+        concurrencyLimit: limit
+      });
+
+      return hitMany(2).then((results) => {
+        assert(results[1] instanceof Errors.BacklogError);
+      });
+    });
+  });
+
+  describe('fallback tests', () => {
+    // Fake server.
+    var server;
+
+    // Server-side connections, in order of arrival.
+    var connections;
+
+    // Test client.
+    var client;
+
+    beforeEach((done) => {
+      connections = [];
+
+      server = net.createServer((conn) => {
+        connections.push(conn);
+        carrier.carry(conn, () => {
+          conn.write('OK true 5 6\n');
+        });
+      });
+
+      server.on('listening', () => {
+        client = new Client('', server.address().port, {
+          autoReconnect: false,
+          throttleConnect: false,
+          fallback: {
+            rules: [{ operation: {}, creditLimit: 1, resetSeconds: 60 }]
+          }
+        });
+        client.once('connected', done);
+        client.connect();
+      });
+
+      server.listen(0);
+    });
+
+    afterEach(() => {
+      client.close();
+      server.close();
+    });
+
+    it('uses the server while connected', () => {
+      return client.hit({}).then((result) => {
+        assert.deepEqual(result, { isAllowed: true, currentCredit: 5, nextResetSeconds: 6 });
+      });
+    });
+
+    it('uses the fallback limiter while disconnected', (done) => {
+      client.once('disconnected', () => {
+        Bluebird.all([client.hit({}), client.hit({})]).then((results) => {
+          assert.deepEqual(results, [
+            { isAllowed: true, currentCredit: 0, nextResetSeconds: 60, source: 'fallback' },
+            { isAllowed: false, currentCredit: 0, nextResetSeconds: 60, source: 'fallback' }
+          ]);
+          done();
+        }).catch(done);
+      });
+      connections[0].destroy();
+    });
+
+    it('switches back to the server once connected', (done) => {
+      client.once('disconnected', () => {
+        client.once('connected', () => {
+          client.hit({}).then((result) => {
+            assert.equal(result.source, undefined);
+            assert.equal(result.currentCredit, 5);
+            done();
+          }).catch(done);
+        });
+
+        // Hitting while disconnected also reconnects.
+        client.hit({}).then((result) => {
+          assert.equal(result.source, 'fallback');
+        }).catch(done);
+      });
+      connections[0].destroy();
+    });
+
+    it('does not use the fallback limiter after close', () => {
+      client.close();
+      return client.hit({}).then((result) => {
+        assert.equal(result.source, undefined);
+      });
+    });
+  });
+
+  describe('circuit breaker tests', () => {
+    // Fake server that never responds.
+    var server;
+    var serverPort;
+
+    beforeEach((done) => {
+      server = net.createServer(() => {});
+      server.on('listening', () => {
+        serverPort = server.address().port;
+        done();
+      });
+      server.listen(0);
+    });
+
+    afterEach(() => {
+      server.close();
+    });
+
+    function hitTwice(client) {
+      return Bluebird.all([
+        client.hit({}, 10).catch((err) => err),
+        client.hit({}, 10).catch((err) => err)
+      ]);
+    }
+
+    it('fails fast once the circuit is open', () => {
+      const client = new Client('', serverPort, {
+        circuitBreaker: { minRequests: 2 }
+      });
+      const events = [];
+      client.on('circuitStateChange', (event) => events.push(event));
+
+      return hitTwice(client).then((results) => {
+        assert(results[0] instanceof Errors.TimeoutError);
+        assert(results[1] instanceof Errors.TimeoutError);
+        assert.deepEqual(events, [{ state: 'open', previousState: 'closed' }]);
+        return client.hit({}).catch((err) => err);
+      }).then((result) => {
+        assert(result instanceof Errors.CircuitOpenError);
+        client.close();
+      });
+    });
+
+    it('resolves with the default decision while open', () => {
+      const client = new Client('', serverPort, {
+        circuitBreaker: {
+          minRequests: 2,
+          defaultDecision: { isAllowed: true, currentCredit: 0, nextResetSeconds: 0 }
+        }
+      });
+
+      return hitTwice(client).then(() => client.hit({})).then((result) => {
+        assert.deepEqual(result, { isAllowed: true, currentCredit: 0, nextResetSeconds: 0 });
+        client.close();
+      });
+    });
+
+    it('uses the fallback limiter while open', () => {
+      const client = new Client('', serverPort, {
+        circuitBreaker: { minRequests: 2 },
+        fallback: { defaultAllow: false }
+      });
+
+      return hitTwice(client).then(() => client.hit({})).then((result) => {
+        assert.deepEqual(result, {
+          isAllowed: false,
+          currentCredit: 0,
+          nextResetSeconds: 0,
+          source: 'fallback'
+        });
+        client.close();
+      });
+    });
+  });
+
+  describe('deny cache tests', () => {
+    var server;
+    var client;
+
+    beforeEach(() => {
+      server = new FakeServer({
+        buckets: [{ operation: { path: '/login' }, creditLimit: 1, resetSeconds: 60 }]
+      });
+      return server.listen().then((port) => {
+        client = new Client('localhost', port, { denyCache: { maxSize: 10 } });
+      });
+    });
+
+    afterEach(() => {
+      client.close();
+      return server.close();
+    });
+
+    it('answers denied operations locally', () => {
+      const operation = { path: '/login' };
+      return client.hit(operation).then(() => client.hit(operation)).then((result) => {
+        assert.deepEqual(result, { isAllowed: false, currentCredit: 0, nextResetSeconds: 60 });
+        return client.hit(operation);
+      }).then((result) => {
+        assert.equal(result.isAllowed, false);
+        assert.equal(result.source, 'cache');
+        assert.equal(server.hits.length, 2);
+        assert.equal(client.getStats().cached, 1);
+      });
+    });
+
+    it('still asks the server about other operations', () => {
+      return client.hit({ path: '/login' }).then(() => client.hit({ path: '/login' }))
+        .then(() => client.hit({ path: '/login', user: 'jim' }))
+        .then((result) => {
+          assert.equal(result.source, undefined);
+          assert.equal(server.hits.length, 3);
+        });
+    });
+  });
+
+  describe('Client.Stub', function() {
+
+    beforeEach(function() {
+      this.client = new Client.Stub();
+    });
+
+    it('is a no-op hit', function(done) {
+      this.client.hit({}).then(quota => {
+        assert.equal(quota.isAllowed, true);
+        assert.equal(quota.currentCredit, 0);
+        assert.equal(quota.nextResetSeconds, 0);
+        done();
+      });
+    });
+
+    it('aggregates hitMany results', function() {
+      this.client.when({ user: 'jim' }).respond({
+        isAllowed: false,
+        currentCredit: 0,
+        nextResetSeconds: 60
+      });
+
+      return this.client.hitMany([{ user: 'jim' }, { ip: '10.0.0.1' }]).then((result) => {
+        assert.equal(result.isAllowed, false);
+        assert.equal(result.nextResetSeconds, 60);
+        assert.equal(result.results.length, 2);
+        assert.equal(this.client.hitCount(), 2);
+      });
+    });
+
+    it('rejects hitMany without a non-empty array, like the client', function() {
+      return Bluebird.all([
+        this.client.hitMany([]).catch((err) => err),
+        this.client.hitMany('x').catch((err) => err)
+      ]).then((errors) => {
+        errors.forEach((err) => {
+          assert(err instanceof Errors.InvalidOperationError);
+          assert(/non-empty array/.test(err.message));
+        });
+        assert.equal(this.client.hitCount(), 0);
+      });
+    });
+
+    it('does not error when calling connect', function() {
+      this.client.connect();
     });
 
     it('does not error when calling close', function() {
       this.client.close();
     });
 
+    it('records normalized operations', function() {
+      this.client.hit({ method: 'GET', user: null });
+      this.client.hit();
+
+      assert.deepEqual(this.client.operations, [{ method: 'GET' }, {}]);
+      assert(this.client.wasHitWith({ method: 'GET' }));
+      assert(!this.client.wasHitWith({ method: 'POST' }));
+      assert.equal(this.client.hitCount(), 2);
+      assert.equal(this.client.hitCount({ method: 'G*' }), 1);
+      assert.equal(this.client.hitCount((operation) => !operation.method), 1);
+    });
+
+    it('validates operations like hit()', function() {
+      assert.throws(() => this.client.hit({ 'bad key': 'value' }), /Invalid operation/);
+    });
+
+    it('responds per matching rule', function() {
+      this.client.when({ path: '/login' }).respond({ isAllowed: false, nextResetSeconds: 30 });
+
+      return Bluebird.all([
+        this.client.hit({ path: '/login' }),
+        this.client.hit({ path: '/other' })
+      ]).then((results) => {
+        assert.deepEqual(results, [
+          { isAllowed: false, currentCredit: 0, nextResetSeconds: 30 },
+          { isAllowed: true, currentCredit: 0, nextResetSeconds: 0 }
+        ]);
+      });
+    });
+
+    it('prefers the most recently added rule', function() {
+      this.client.when().respond({ currentCredit: 1 });
+      this.client.when({ path: '/login' }).respond({ currentCredit: 2 });
+
+      return this.client.hit({ path: '/login' }).then((result) => {
+        assert.equal(result.currentCredit, 2);
+      });
+    });
+
+    it('responds with sequences', function() {
+      const error = new Errors.TimeoutError('Timeout');
+      this.client.when().respondSequence([{ currentCredit: 1 }, error, { isAllowed: false }]);
+
+      const promises = [];
+      for (let i = 0; i < 4; i++) {
+        promises.push(this.client.hit({}).catch((err) => err));
+      }
+      return Bluebird.all(promises).then((results) => {
+        assert.equal(results[0].currentCredit, 1);
+        assert.strictEqual(results[1], error);
+        assert.equal(results[2].isAllowed, false);
+        assert.equal(results[3].isAllowed, false);
+      });
+    });
+
+    it('denies after N hits', function() {
+      this.client.when({ user: 'jim' }).denyAfter(2);
+
+      const promises = [];
+      for (let i = 0; i < 3; i++) {
+        promises.push(this.client.hit({ user: 'jim' }));
+      }
+      return Bluebird.all(promises).then((results) => {
+        assert.deepEqual(results, [
+          { isAllowed: true, currentCredit: 1, nextResetSeconds: 0 },
+          { isAllowed: true, currentCredit: 0, nextResetSeconds: 0 },
+          { isAllowed: false, currentCredit: 0, nextResetSeconds: 0 }
+        ]);
+      });
+    });
+
+    it('rejects with errors', function() {
+      this.client.when().reject(new Errors.DisconnectedError('Connection closed.'));
+
+      return this.client.hit({}).then(() => {
+        throw new Error('Expected rejection');
+      }, (err) => {
+        assert(err instanceof Errors.DisconnectedError);
+      });
+    });
+
+    it('resets rules and recorded operations', function() {
+      this.client.when().respond({ isAllowed: false });
+      this.client.hit({});
+      this.client.reset();
+
+      assert.equal(this.client.hitCount(), 0);
+      return this.client.hit({}).then((result) => {
+        assert.equal(result.isAllowed, true);
+      });
+    });
+
   });
 
 });
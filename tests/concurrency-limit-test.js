@@ -0,0 +1,75 @@
+'use strict';
+
+const assert = require('assert');
+const ConcurrencyLimit = require('../src/concurrency-limit');
+
+/** Feeds `count` identical samples to `limit`, returning the final limit. */
+function feed(limit, count, sample) {
+  for (let i = 0; i < count; i++) {
+    limit.onSample(Object.assign({ didDrop: false, inFlight: limit.limit() }, sample));
+  }
+  return limit.limit();
+}
+
+describe('src/concurrency-limit', () => {
+
+  describe('#aimd', () => {
+
+    it('grows by one per sample up to the max limit', () => {
+      const limit = ConcurrencyLimit.aimd({ initialLimit: 5, maxLimit: 7 });
+      assert.equal(feed(limit, 1, { latencyMillis: 1 }), 6);
+      assert.equal(feed(limit, 5, { latencyMillis: 1 }), 7);
+    });
+
+    it('backs off upon drops down to the min limit', () => {
+      const limit = ConcurrencyLimit.aimd({ initialLimit: 20, minLimit: 10, backoffRatio: 0.5 });
+      assert.equal(feed(limit, 1, { latencyMillis: 1, didDrop: true }), 10);
+      assert.equal(feed(limit, 1, { latencyMillis: 1, didDrop: true }), 10);
+    });
+
+    it('treats slow samples as drops', () => {
+      const limit = ConcurrencyLimit.aimd({ initialLimit: 20, latencyThresholdMillis: 100 });
+      assert.equal(feed(limit, 1, { latencyMillis: 101 }), 18);
+    });
+
+    it('does not grow while mostly idle', () => {
+      const limit = ConcurrencyLimit.aimd({ initialLimit: 20 });
+      assert.equal(feed(limit, 5, { latencyMillis: 1, inFlight: 2 }), 20);
+    });
+
+  });
+
+  describe('#gradient', () => {
+
+    it('grows while latency stays low', () => {
+      const limit = ConcurrencyLimit.gradient({ initialLimit: 10, maxLimit: 50 });
+      const grown = feed(limit, 20, { latencyMillis: 10 });
+      assert(grown > 10, `limit ${grown} did not grow`);
+      assert.equal(feed(limit, 200, { latencyMillis: 10 }), 50);
+    });
+
+    it('shrinks as latency rises', () => {
+      const limit = ConcurrencyLimit.gradient({ initialLimit: 50, maxLimit: 50 });
+      feed(limit, 1, { latencyMillis: 10 });
+      const shrunk = feed(limit, 20, { latencyMillis: 100 });
+      assert(shrunk < 30, `limit ${shrunk} did not shrink`);
+    });
+
+    it('halves the target upon drops, down to the min limit', () => {
+      const limit = ConcurrencyLimit.gradient({ initialLimit: 40, minLimit: 5, smoothing: 1 });
+      assert.equal(feed(limit, 1, { latencyMillis: 1, didDrop: true }), 20);
+      assert.equal(feed(limit, 5, { latencyMillis: 1, didDrop: true }), 5);
+    });
+
+    it('forgets the lowest latency after resetSamples', () => {
+      const limit = ConcurrencyLimit.gradient({ initialLimit: 20, resetSamples: 2 });
+      feed(limit, 1, { latencyMillis: 1 });
+      feed(limit, 1, { latencyMillis: 100 });
+      const before = limit.limit();
+      // The minimum is now re-learned at 100ms, so the limit grows again.
+      assert(feed(limit, 10, { latencyMillis: 100 }) > before);
+    });
+
+  });
+
+});
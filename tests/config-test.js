@@ -0,0 +1,170 @@
+'use strict';
+
+const assert = require('assert');
+const Config = require('../src/config');
+const Errors = require('../src/errors');
+
+describe('src/config', () => {
+
+  describe('#parseUrl', () => {
+
+    it('parses host, port and parameters', () => {
+      const config = Config.parseUrl(
+        'divvy://divvy.internal:8400?timeout=500&maxPending=200&autoReconnect=false');
+      assert.deepEqual(config, {
+        host: 'divvy.internal',
+        port: 8400,
+        options: {
+          defaultCommandTimeoutMillis: 500,
+          maxPendingRequests: 200,
+          autoReconnect: false
+        }
+      });
+    });
+
+    it('leaves an omitted host and port to the defaults', () => {
+      assert.deepEqual(Config.parseUrl('divvy://'), {
+        host: undefined,
+        port: undefined,
+        options: {}
+      });
+    });
+
+    it('accepts option names and special values as parameters', () => {
+      const config = Config.parseUrl('divvy://localhost?defaultCommandTimeoutMillis=none' +
+        '&maxReconnectAttempts=Infinity&encoding=percent&overflowPolicy=wait&keepAlive=1');
+      assert.deepEqual(config.options, {
+        defaultCommandTimeoutMillis: null,
+        maxReconnectAttempts: Infinity,
+        operationEncoding: 'percent',
+        overflowPolicy: 'wait',
+        keepAlive: true
+      });
+    });
+
+    it('parses TLS and Unix socket URLs', () => {
+      assert.deepEqual(Config.parseUrl('divvys://divvy.internal:8443'), {
+        host: 'divvy.internal',
+        port: 8443,
+        options: { tls: true }
+      });
+      assert.deepEqual(Config.parseUrl('divvy+unix:///var/run/divvy.sock?timeout=50'), {
+        host: undefined,
+        port: undefined,
+        options: { path: '/var/run/divvy.sock', defaultCommandTimeoutMillis: 50 }
+      });
+    });
+
+    it('rejects malformed URLs', () => {
+      [
+        'http://localhost:8321',
+        'divvy://localhost:port',
+        'divvy://localhost:99999',
+        'divvy+unix://localhost',
+        'divvy://localhost?bogus=1',
+        'divvy://localhost?timeout=1&timeout=2'
+      ].forEach((connectionString) => {
+        assert.throws(() => Config.parseUrl(connectionString), Errors.ConfigurationError,
+          connectionString);
+      });
+      assert.throws(() => Config.parseUrl(undefined), /Invalid Divvy URL/);
+    });
+
+    it('rejects invalid values, naming the parameter', () => {
+      assert.throws(() => Config.parseUrl('divvy://localhost?timeout=soon'),
+        /Invalid timeout: expected a non-negative number of millis or null, got "soon"/);
+      assert.throws(() => Config.parseUrl('divvy://localhost?maxPending=0'),
+        /Invalid maxPending: expected a positive integer, got 0/);
+      assert.throws(() => Config.parseUrl('divvy://localhost?autoReconnect=maybe'),
+        /Invalid autoReconnect: expected true or false, got "maybe"/);
+      assert.throws(() => Config.parseUrl('divvy://localhost?encoding=rot13'),
+        /Unknown operation encoding: "rot13"/);
+    });
+
+  });
+
+  describe('#parseEnv', () => {
+
+    it('reads host, port and options', () => {
+      const config = Config.parseEnv(undefined, {
+        DIVVY_HOST: 'divvy.internal',
+        DIVVY_PORT: '8400',
+        DIVVY_TIMEOUT: '250',
+        DIVVY_MAX_RECONNECT_ATTEMPTS: '3',
+        DIVVY_THROTTLE_CONNECT: 'false',
+        DIVVY_DENY_CACHE: 'true',
+        OTHER_TIMEOUT: '1'
+      });
+      assert.deepEqual(config, {
+        host: 'divvy.internal',
+        port: 8400,
+        options: {
+          defaultCommandTimeoutMillis: 250,
+          maxReconnectAttempts: 3,
+          throttleConnect: false,
+          denyCache: true
+        }
+      });
+    });
+
+    it('overrides the URL with individual variables', () => {
+      const config = Config.parseEnv('RATE_LIMIT_', {
+        RATE_LIMIT_URL: 'divvy://divvy.internal:8400?timeout=500&maxPending=10',
+        RATE_LIMIT_PORT: '8500',
+        RATE_LIMIT_MAX_PENDING: '20',
+        RATE_LIMIT_HOST: ''
+      });
+      assert.deepEqual(config, {
+        host: 'divvy.internal',
+        port: 8500,
+        options: { defaultCommandTimeoutMillis: 500, maxPendingRequests: 20 }
+      });
+    });
+
+    it('reads the socket path', () => {
+      const config = Config.parseEnv('DIVVY', { DIVVY_SOCKET_PATH: '/var/run/divvy.sock' });
+      assert.deepEqual(config.options, { path: '/var/run/divvy.sock' });
+    });
+
+    it('rejects invalid values, naming the variable', () => {
+      assert.throws(() => Config.parseEnv('DIVVY', { DIVVY_PORT: 'http' }),
+        /Invalid DIVVY_PORT: expected a port number, got "http"/);
+      assert.throws(() => Config.parseEnv('DIVVY', { DIVVY_THROTTLE_CONNECT_TIMEOUT_MILLIS: '-1' }),
+        /Invalid DIVVY_THROTTLE_CONNECT_TIMEOUT_MILLIS: expected a non-negative number/);
+    });
+
+  });
+
+  describe('#validateOptions', () => {
+
+    it('accepts valid and unset options', () => {
+      Config.validateOptions({});
+      Config.validateOptions({
+        tls: { servername: 'divvy.internal' },
+        defaultCommandTimeoutMillis: null,
+        maxPendingRequests: 10,
+        maxReconnectAttempts: 0,
+        throttleConnectTimeoutMillis: 0,
+        operationEncoding: 'escape',
+        logger: console
+      });
+    });
+
+    it('rejects invalid values with ConfigurationError', () => {
+      assert.throws(() => Config.validateOptions({ defaultCommandTimeoutMillis: NaN }),
+        (err) => err instanceof Errors.ConfigurationError &&
+          err.option === 'defaultCommandTimeoutMillis' &&
+          /expected a non-negative number of millis or null, got NaN/.test(err.message));
+      assert.throws(() => Config.validateOptions({ maxPendingRequests: 1.5 }),
+        /Invalid maxPendingRequests/);
+      assert.throws(() => Config.validateOptions({ maxReconnectAttempts: '5' }),
+        /Invalid maxReconnectAttempts: expected a non-negative integer or Infinity, got "5"/);
+      assert.throws(() => Config.validateOptions({ keepAlive: 'yes' }),
+        /Invalid keepAlive: expected true or false/);
+      assert.throws(() => Config.validateOptions({ maxConsecutiveTimeouts: 0 }),
+        /Invalid maxConsecutiveTimeouts/);
+    });
+
+  });
+
+});
@@ -0,0 +1,59 @@
+'use strict';
+
+const assert = require('assert');
+const DenyCache = require('../src/deny-cache');
+
+const DENIED = { isAllowed: false, currentCredit: 0, nextResetSeconds: 10 };
+
+describe('src/deny-cache', () => {
+
+  var now;
+  var cache;
+
+  beforeEach(() => {
+    now = 0;
+    cache = new DenyCache({ maxSize: 2, now: () => now });
+  });
+
+  it('answers cached denials until their reset time', () => {
+    cache.set('"a"="1"', DENIED);
+    assert.deepEqual(cache.get('"a"="1"'), {
+      isAllowed: false,
+      currentCredit: 0,
+      nextResetSeconds: 10,
+      source: 'cache'
+    });
+
+    now += 9500;
+    assert.equal(cache.get('"a"="1"').nextResetSeconds, 1);
+
+    now += 500;
+    assert.equal(cache.get('"a"="1"'), null);
+    assert.equal(cache.size, 0);
+  });
+
+  it('does not cache allowed results or denials without a reset time', () => {
+    cache.set('"a"="1"', { isAllowed: true, currentCredit: 1, nextResetSeconds: 10 });
+    cache.set('"a"="2"', { isAllowed: false, currentCredit: 0, nextResetSeconds: 0 });
+    assert.equal(cache.size, 0);
+  });
+
+  it('evicts the least recently used entry', () => {
+    cache.set('"a"="1"', DENIED);
+    cache.set('"a"="2"', DENIED);
+    cache.get('"a"="1"');
+    cache.set('"a"="3"', DENIED);
+
+    assert.equal(cache.size, 2);
+    assert(cache.get('"a"="1"'));
+    assert.equal(cache.get('"a"="2"'), null);
+    assert(cache.get('"a"="3"'));
+  });
+
+  it('clears', () => {
+    cache.set('"a"="1"', DENIED);
+    cache.clear();
+    assert.equal(cache.get('"a"="1"'), null);
+  });
+
+});
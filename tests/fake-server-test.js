@@ -0,0 +1,154 @@
+'use strict';
+
+const assert = require('assert');
+const net = require('net');
+
+const Client = require('../src/client');
+const Errors = require('../src/errors');
+const FakeServer = require('../src/fake-server');
+const testing = require('../testing');
+const Bluebird = require('bluebird');
+
+describe('src/fake-server', () => {
+
+  var now;
+  var server;
+  var client;
+
+  beforeEach(() => {
+    now = 0;
+    server = new FakeServer({
+      buckets: [
+        { operation: { method: 'POST', path: '/login' }, creditLimit: 2, resetSeconds: 60,
+          actorField: 'ip' },
+        { operation: { path: '/pantry/*' }, creditLimit: 1, resetSeconds: 10 }
+      ],
+      now: () => now
+    });
+
+    return server.listen().then((port) => {
+      client = new Client('localhost', port, {
+        autoReconnect: false,
+        throttleConnect: false
+      });
+    });
+  });
+
+  afterEach(() => {
+    client.close();
+    return server.close();
+  });
+
+  it('is exposed by the testing module', () => {
+    assert.strictEqual(testing.FakeServer, FakeServer);
+  });
+
+  it('allows operations matching no bucket', () => {
+    return client.hit({ path: '/other' }).then((result) => {
+      assert.deepEqual(result, { isAllowed: true, currentCredit: 0, nextResetSeconds: 0 });
+    });
+  });
+
+  it('enforces bucket credit', () => {
+    const operation = { method: 'POST', path: '/login', ip: '1.2.3.4' };
+    const promises = [client.hit(operation), client.hit(operation), client.hit(operation)];
+
+    return Bluebird.all(promises).then((results) => {
+      assert.deepEqual(results, [
+        { isAllowed: true, currentCredit: 1, nextResetSeconds: 60 },
+        { isAllowed: true, currentCredit: 0, nextResetSeconds: 60 },
+        { isAllowed: false, currentCredit: 0, nextResetSeconds: 60 }
+      ]);
+      return client.hit({ method: 'POST', path: '/login', ip: '5.6.7.8' });
+    }).then((result) => {
+      assert.equal(result.isAllowed, true);
+    });
+  });
+
+  it('resets buckets on the injected clock', () => {
+    const operation = { path: '/pantry/cookies' };
+    return client.hit(operation).then(() => {
+      now += 4000;
+      return client.hit(operation);
+    }).then((result) => {
+      assert.deepEqual(result, { isAllowed: false, currentCredit: 0, nextResetSeconds: 6 });
+      now += 6000;
+      return client.hit(operation);
+    }).then((result) => {
+      assert.deepEqual(result, { isAllowed: true, currentCredit: 0, nextResetSeconds: 10 });
+    });
+  });
+
+  it('records hits', () => {
+    const hits = [];
+    server.on('hit', (operation) => hits.push(operation));
+
+    return client.hit({ path: '/a', count: 1 }).then(() => {
+      assert.deepEqual(server.hits, [{ count: '1', path: '/a' }]);
+      assert.deepEqual(hits, server.hits);
+
+      server.reset();
+      assert.deepEqual(server.hits, []);
+    });
+  });
+
+  it('decodes escaped operations', () => {
+    const escapingServer = new FakeServer({ operationEncoding: 'escape' });
+    return escapingServer.listen().then((port) => {
+      const escapingClient = new Client('localhost', port, { operationEncoding: 'escape' });
+      return escapingClient.hit({ ua: 'Mozilla/5.0 (X11; "Linux")' }).then(() => {
+        assert.deepEqual(escapingServer.hits, [{ ua: 'Mozilla/5.0 (X11; "Linux")' }]);
+        escapingClient.close();
+        return escapingServer.close();
+      });
+    });
+  });
+
+  it('injects error responses', () => {
+    server.queueError('invalid-operation', 'No good');
+    return client.hit({}).catch((err) => err).then((err) => {
+      assert(err instanceof Errors.InvalidOperationError);
+      assert.equal(err.message, 'No good');
+    });
+  });
+
+  it('injects garbage responses', () => {
+    server.queueGarbage();
+    return client.hit({}).catch((err) => err).then((err) => {
+      assert(err instanceof Errors.BadResponseError);
+      assert.equal(err.message, 'GARBAGE');
+    });
+  });
+
+  it('injects disconnects', () => {
+    server.queueDisconnect();
+    return client.hit({}).catch((err) => err).then((err) => {
+      assert(err instanceof Errors.DisconnectedError);
+    });
+  });
+
+  it('disconnects all clients', (done) => {
+    client.once('disconnected', () => done());
+    client.once('connected', () => server.disconnectAll());
+    client.connect();
+  });
+
+  it('injects latency', () => {
+    server.setLatency(100);
+    return client.hit({}, 20).catch((err) => err).then((err) => {
+      assert(err instanceof Errors.TimeoutError);
+    });
+  });
+
+  it('answers unknown commands with an error', (done) => {
+    const socket = net.connect(server.port, 'localhost', () => {
+      socket.write('PING\n');
+    });
+    socket.once('data', (data) => {
+      assert.equal(data.toString(), 'ERR unknown-command "Unrecognized command: PING"\n');
+      socket.destroy();
+      done();
+    });
+  });
+
+});
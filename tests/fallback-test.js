@@ -0,0 +1,100 @@
+'use strict';
+
+const assert = require('assert');
+const FallbackLimiter = require('../src/fallback');
+
+describe('src/fallback', () => {
+
+  var now;
+  var limiter;
+
+  beforeEach(() => {
+    now = 0;
+    limiter = new FallbackLimiter({
+      rules: [
+        { operation: { method: 'POST', path: '/login' }, creditLimit: 2, resetSeconds: 10,
+          actorField: 'ip' },
+        { operation: { path: '/pantry/*' }, creditLimit: 1, resetSeconds: 60 }
+      ],
+      now: () => now
+    });
+  });
+
+  it('rejects invalid rules', () => {
+    assert.throws(() => new FallbackLimiter({ rules: [{ creditLimit: 1 }] }),
+      /Invalid fallback rule at index 0/);
+  });
+
+  it('allows operations matching no rule by default', () => {
+    assert.deepEqual(limiter.hit({ path: '/other' }), {
+      isAllowed: true,
+      currentCredit: 0,
+      nextResetSeconds: 0,
+      source: 'fallback'
+    });
+  });
+
+  it('uses the configured default decision', () => {
+    const denying = new FallbackLimiter({ defaultAllow: false });
+    assert.equal(denying.hit({}).isAllowed, false);
+  });
+
+  it('denies once the bucket is empty', () => {
+    const operation = { method: 'POST', path: '/login', ip: '1.2.3.4' };
+    assert.deepEqual(limiter.hit(operation), {
+      isAllowed: true,
+      currentCredit: 1,
+      nextResetSeconds: 5,
+      source: 'fallback'
+    });
+    assert.deepEqual(limiter.hit(operation), {
+      isAllowed: true,
+      currentCredit: 0,
+      nextResetSeconds: 10,
+      source: 'fallback'
+    });
+    assert.deepEqual(limiter.hit(operation), {
+      isAllowed: false,
+      currentCredit: 0,
+      nextResetSeconds: 5,
+      source: 'fallback'
+    });
+  });
+
+  it('refills tokens over time', () => {
+    const operation = { path: '/pantry/cookies' };
+    assert.equal(limiter.hit(operation).isAllowed, true);
+    assert.equal(limiter.hit(operation).isAllowed, false);
+
+    now += 30 * 1000;
+    assert.equal(limiter.hit(operation).isAllowed, false);
+
+    now += 30 * 1000;
+    assert.equal(limiter.hit(operation).isAllowed, true);
+  });
+
+  it('keeps a bucket per actor', () => {
+    const first = { method: 'POST', path: '/login', ip: '1.2.3.4' };
+    const second = { method: 'POST', path: '/login', ip: '5.6.7.8' };
+    limiter.hit(first);
+    limiter.hit(first);
+    assert.equal(limiter.hit(first).isAllowed, false);
+    assert.equal(limiter.hit(second).isAllowed, true);
+  });
+
+  it('bounds the number of buckets', () => {
+    const small = new FallbackLimiter({
+      rules: [{ operation: {}, creditLimit: 1, resetSeconds: 60, actorField: 'ip' }],
+      maxBuckets: 2,
+      now: () => now
+    });
+    small.hit({ ip: '1' });
+    small.hit({ ip: '2' });
+    small.hit({ ip: '3' });
+    assert.equal(small.buckets.size, 2);
+
+    // The first bucket was dropped, so it starts out full again.
+    assert.equal(small.hit({ ip: '1' }).isAllowed, true);
+  });
+
+});
@@ -0,0 +1,69 @@
+'use strict';
+
+const assert = require('assert');
+const HashRing = require('../src/hash-ring');
+
+const KEYS = [];
+for (let i = 0; i < 1000; i++) {
+  KEYS.push(`"user"="${i}"`);
+}
+
+function assignments(ring) {
+  return KEYS.map((key) => ring.get(key));
+}
+
+describe('src/hash-ring', () => {
+
+  it('returns null when empty', () => {
+    assert.equal(new HashRing().get('key'), null);
+  });
+
+  it('is deterministic', () => {
+    const first = new HashRing(['a:1', 'b:2', 'c:3']);
+    const second = new HashRing(['c:3', 'a:1', 'b:2']);
+    assert.deepEqual(assignments(first), assignments(second));
+  });
+
+  it('spreads keys across nodes', () => {
+    const ring = new HashRing(['a:1', 'b:2', 'c:3']);
+    const counts = {};
+    assignments(ring).forEach((node) => {
+      counts[node] = (counts[node] || 0) + 1;
+    });
+    Object.keys(counts).forEach((node) => {
+      assert(counts[node] > 200, `Node ${node} only got ${counts[node]} keys`);
+    });
+  });
+
+  it('only moves keys of an added node', () => {
+    const ring = new HashRing(['a:1', 'b:2', 'c:3']);
+    const before = assignments(ring);
+    ring.add('d:4');
+    const after = assignments(ring);
+
+    let moved = 0;
+    before.forEach((node, i) => {
+      if (node !== after[i]) {
+        assert.equal(after[i], 'd:4');
+        moved++;
+      }
+    });
+    assert(moved > 0 && moved < 400, `Unexpectedly moved ${moved} keys`);
+  });
+
+  it('only moves keys of a removed node', () => {
+    const ring = new HashRing(['a:1', 'b:2', 'c:3']);
+    const before = assignments(ring);
+    ring.remove('b:2');
+    const after = assignments(ring);
+
+    before.forEach((node, i) => {
+      if (node !== 'b:2') {
+        assert.equal(after[i], node);
+      } else {
+        assert.notEqual(after[i], 'b:2');
+      }
+    });
+  });
+
+});
@@ -0,0 +1,99 @@
+'use strict';
+
+const assert = require('assert');
+
+const Errors = require('../src/errors');
+const headers = require('../src/headers');
+
+const NOW = 1476403200000;  // 2016-10-14T00:00:00Z
+const ALLOWED = { isAllowed: true, currentCredit: 9, nextResetSeconds: 50 };
+const DENIED = { isAllowed: false, currentCredit: 0, nextResetSeconds: 30 };
+
+describe('src/headers', () => {
+
+  describe('#fromResult', () => {
+
+    it('uses the draft format by default', () => {
+      assert.deepEqual(headers.fromResult(ALLOWED), {
+        'RateLimit-Remaining': '9',
+        'RateLimit-Reset': '50'
+      });
+    });
+
+    it('adds Retry-After when denied', () => {
+      assert.deepEqual(headers.fromResult(DENIED), {
+        'RateLimit-Remaining': '0',
+        'RateLimit-Reset': '30',
+        'Retry-After': '30'
+      });
+    });
+
+    it('adds the limit when configured', () => {
+      assert.deepEqual(headers.fromResult(ALLOWED, { limit: 10 }), {
+        'RateLimit-Limit': '10',
+        'RateLimit-Remaining': '9',
+        'RateLimit-Reset': '50'
+      });
+    });
+
+    it('uses a unix timestamp reset for the legacy format', () => {
+      const options = { format: 'legacy', limit: 10, now: () => NOW };
+      assert.deepEqual(headers.fromResult(DENIED, options), {
+        'X-RateLimit-Limit': '10',
+        'X-RateLimit-Remaining': '0',
+        'X-RateLimit-Reset': String(NOW / 1000 + 30),
+        'Retry-After': '30'
+      });
+    });
+
+    it('emits both formats', () => {
+      const options = { format: 'both', now: () => NOW };
+      assert.deepEqual(headers.fromResult(ALLOWED, options), {
+        'RateLimit-Remaining': '9',
+        'RateLimit-Reset': '50',
+        'X-RateLimit-Remaining': '9',
+        'X-RateLimit-Reset': String(NOW / 1000 + 50)
+      });
+    });
+
+    it('never reports negative values', () => {
+      const result = { isAllowed: false, currentCredit: -3, nextResetSeconds: -1 };
+      assert.deepEqual(headers.fromResult(result), {
+        'RateLimit-Remaining': '0',
+        'RateLimit-Reset': '0',
+        'Retry-After': '0'
+      });
+    });
+
+    it('rejects unknown formats', () => {
+      assert.throws(() => headers.fromResult(ALLOWED, { format: 'rfc' }), /Invalid header format/);
+    });
+
+  });
+
+  describe('#fromError', () => {
+
+    it('returns no headers by default', () => {
+      assert.deepEqual(headers.fromError(new Errors.TimeoutError('Timeout')), {});
+    });
+
+    it('adds Retry-After when configured', () => {
+      const err = new Errors.BacklogError('Too many pending requests');
+      assert.deepEqual(headers.fromError(err, { errorRetryAfterSeconds: 1 }), {
+        'Retry-After': '1'
+      });
+    });
+
+  });
+
+  describe('#toHeaders', () => {
+
+    it('dispatches on results and errors', () => {
+      assert.deepEqual(headers.toHeaders(ALLOWED), headers.fromResult(ALLOWED));
+      const err = new Errors.DisconnectedError('Connection closed.');
+      assert.deepEqual(headers.toHeaders(err), {});
+    });
+
+  });
+
+});
@@ -0,0 +1,79 @@
+'use strict';
+
+const assert = require('assert');
+const Logger = require('../src/logger');
+
+describe('src/logger', () => {
+
+  describe('#wrap', () => {
+
+    it('calls methods the logger has, and ignores others', () => {
+      const calls = [];
+      const logger = Logger.wrap({
+        info: function(message, fields) {
+          calls.push([this, message, fields]);
+        }
+      });
+
+      logger.info('hello', { a: 1 });
+      logger.debug('ignored');
+      logger.warn('ignored');
+      logger.error('ignored');
+
+      assert.equal(calls.length, 1);
+      assert.deepEqual(calls[0].slice(1), ['hello', { a: 1 }]);
+    });
+
+    it('passes the fields first for field-first loggers', () => {
+      const calls = [];
+      const logger = Logger.wrap({
+        warn: (fields, message) => calls.push([fields, message])
+      }, { fieldsFirst: true });
+
+      logger.warn('hello', { a: 1 });
+      logger.warn('no fields');
+      logger.info('ignored');
+
+      assert.deepEqual(calls, [[{ a: 1 }, 'hello'], [{}, 'no fields']]);
+    });
+
+    it('accepts no logger', () => {
+      Logger.wrap(null).error('ignored');
+    });
+
+  });
+
+  describe('#redactOperation', () => {
+
+    it('redacts listed keys', () => {
+      assert.deepEqual(Logger.redactOperation({ user: 'jim', path: '/' }, ['user', 'ip']), {
+        user: '[REDACTED]',
+        path: '/'
+      });
+    });
+
+    it('applies a function', () => {
+      const redact = (key, value) => key === 'email' ? value.replace(/^.*@/, '*@') : undefined;
+      assert.deepEqual(Logger.redactOperation({ email: 'jim@example.com', path: '/' }, redact), {
+        email: '*@example.com',
+        path: '/'
+      });
+    });
+
+    it('returns the operation without rules', () => {
+      const operation = { user: 'jim' };
+      assert.strictEqual(Logger.redactOperation(operation), operation);
+    });
+
+  });
+
+  describe('#formatOperation', () => {
+
+    it('formats values without validating them', () => {
+      assert.equal(Logger.formatOperation({ user: 'a "b" c', n: null, id: 2 }),
+        '"id"="2" "n"="null" "user"="a "b" c"');
+    });
+
+  });
+
+});
@@ -0,0 +1,261 @@
+'use strict';
+
+const assert = require('assert');
+
+const Errors = require('../src/errors');
+const middleware = require('../src/middleware');
+
+/** A fake client whose `hit()` resolves or rejects as configured. */
+function fakeClient(resultOrError) {
+  const client = {
+    operations: [],
+    hit: (operation) => {
+      client.operations.push(operation);
+      if (resultOrError instanceof Error) {
+        return Promise.reject(resultOrError);
+      }
+      return Promise.resolve(resultOrError);
+    }
+  };
+  return client;
+}
+
+/** A fake `http.ServerResponse` that calls `onEnd` when finished. */
+function fakeResponse(onEnd) {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    setHeader: (name, value) => {
+      res.headers[name] = value;
+    },
+    end: (body) => {
+      res.body = body;
+      onEnd(res);
+    }
+  };
+  return res;
+}
+
+const ALLOWED = { isAllowed: true, currentCredit: 10, nextResetSeconds: 60 };
+const DENIED = { isAllowed: false, currentCredit: 0, nextResetSeconds: 30 };
+
+describe('src/middleware', () => {
+
+  describe('#express', () => {
+
+    const req = {
+      method: 'GET',
+      url: '/pantry/cookies?flavor=chocolate',
+      connection: { remoteAddress: '10.0.0.1' }
+    };
+
+    it('hits the default operation and calls next when allowed', (done) => {
+      const client = fakeClient(ALLOWED);
+      const res = fakeResponse(() => done(new Error('Unexpected response')));
+
+      middleware.express(client)(req, res, (err) => {
+        assert(!err);
+        assert.deepEqual(client.operations, [
+          { method: 'GET', path: '/pantry/cookies', ip: '10.0.0.1' }
+        ]);
+        assert.deepEqual(req.divvy, ALLOWED);
+        done();
+      });
+    });
+
+    it('uses a custom operation builder', (done) => {
+      const client = fakeClient(ALLOWED);
+      const res = fakeResponse(() => done(new Error('Unexpected response')));
+      const options = { operation: (r) => ({ method: r.method }) };
+
+      middleware.express(client, options)(req, res, () => {
+        assert.deepEqual(client.operations, [{ method: 'GET' }]);
+        done();
+      });
+    });
+
+    it('responds with 429 when denied', (done) => {
+      const client = fakeClient(DENIED);
+      const res = fakeResponse((r) => {
+        assert.equal(r.statusCode, 429);
+        assert.equal(r.body, 'Too Many Requests');
+        done();
+      });
+
+      middleware.express(client)(req, res, () => done(new Error('Unexpected next()')));
+    });
+
+    it('responds with a configured status and JSON body when denied', (done) => {
+      const client = fakeClient(DENIED);
+      const res = fakeResponse((r) => {
+        assert.equal(r.statusCode, 420);
+        assert.equal(r.headers['Content-Type'], 'application/json');
+        assert.deepEqual(JSON.parse(r.body), { error: 'slow down' });
+        done();
+      });
+      const options = { statusCode: 420, body: { error: 'slow down' } };
+
+      middleware.express(client, options)(req, res, () => done(new Error('Unexpected next()')));
+    });
+
+    it('adds rate limit headers when enabled', (done) => {
+      const client = fakeClient(DENIED);
+      const res = fakeResponse((r) => {
+        assert.equal(r.headers['RateLimit-Limit'], '100');
+        assert.equal(r.headers['RateLimit-Remaining'], '0');
+        assert.equal(r.headers['RateLimit-Reset'], '30');
+        assert.equal(r.headers['Retry-After'], '30');
+        done();
+      });
+      const options = { headers: { limit: 100 } };
+
+      middleware.express(client, options)(req, res, () => done(new Error('Unexpected next()')));
+    });
+
+    it('fails open by default', (done) => {
+      const client = fakeClient(new Errors.TimeoutError('Timeout'));
+      const res = fakeResponse(() => done(new Error('Unexpected response')));
+
+      middleware.express(client)(req, res, (err) => {
+        assert(!err);
+        done();
+      });
+    });
+
+    it('fails open while the client is draining', (done) => {
+      const client = fakeClient(new Errors.DrainingError('Client is draining.'));
+      const res = fakeResponse(() => done(new Error('Unexpected response')));
+
+      middleware.express(client)(req, res, (err) => {
+        assert(!err);
+        done();
+      });
+    });
+
+    it('fails closed when configured', (done) => {
+      const client = fakeClient(new Errors.DisconnectedError('Connection closed.'));
+      const res = fakeResponse((r) => {
+        assert.equal(r.statusCode, 503);
+        done();
+      });
+
+      middleware.express(client, { failOpen: false })(req, res,
+        () => done(new Error('Unexpected next()')));
+    });
+
+    it('rejects invalid header options when created', () => {
+      assert.throws(() => middleware.express(fakeClient(ALLOWED), { headers: { format: 'bogus' } }),
+        /Invalid header format/);
+    });
+
+    it('passes errors thrown while responding to next', (done) => {
+      const error = new Error('Headers already sent');
+      const res = fakeResponse(() => done(new Error('Unexpected response')));
+      res.setHeader = () => {
+        throw error;
+      };
+
+      middleware.express(fakeClient(DENIED), { headers: true })(req, res, (err) => {
+        assert.strictEqual(err, error);
+        done();
+      });
+    });
+
+    it('passes unexpected errors to next', (done) => {
+      const error = new Error('Invalid operation');
+      const client = fakeClient(error);
+      const res = fakeResponse(() => done(new Error('Unexpected response')));
+
+      middleware.express(client)(req, res, (err) => {
+        assert.strictEqual(err, error);
+        done();
+      });
+    });
+
+  });
+
+  describe('#koa', () => {
+
+    function fakeContext() {
+      const ctx = {
+        request: { method: 'POST', path: '/login', ip: '10.0.0.2' },
+        state: {},
+        headers: {},
+        set: (headerMap) => {
+          Object.keys(headerMap).forEach((name) => {
+            ctx.headers[name] = headerMap[name];
+          });
+        }
+      };
+      return ctx;
+    }
+
+    it('hits the default operation and calls next when allowed', () => {
+      const client = fakeClient(ALLOWED);
+      const ctx = fakeContext();
+      let calledNext = false;
+
+      return middleware.koa(client)(ctx, () => {
+        calledNext = true;
+      }).then(() => {
+        assert(calledNext);
+        assert.deepEqual(client.operations, [
+          { method: 'POST', path: '/login', ip: '10.0.0.2' }
+        ]);
+        assert.deepEqual(ctx.state.divvy, ALLOWED);
+      });
+    });
+
+    it('responds with 429 when denied', () => {
+      const client = fakeClient(DENIED);
+      const ctx = fakeContext();
+
+      return middleware.koa(client)(ctx, () => {
+        throw new Error('Unexpected next()');
+      }).then(() => {
+        assert.equal(ctx.status, 429);
+        assert.equal(ctx.body, 'Too Many Requests');
+      });
+    });
+
+    it('adds rate limit headers when enabled', () => {
+      const client = fakeClient(ALLOWED);
+      const ctx = fakeContext();
+
+      return middleware.koa(client, { headers: true })(ctx, () => {}).then(() => {
+        assert.deepEqual(ctx.headers, {
+          'RateLimit-Remaining': '10',
+          'RateLimit-Reset': '60'
+        });
+      });
+    });
+
+    it('fails closed when configured', () => {
+      const client = fakeClient(new Errors.BacklogError('Too many pending requests'));
+      const ctx = fakeContext();
+
+      return middleware.koa(client, { failOpen: false })(ctx, () => {
+        throw new Error('Unexpected next()');
+      }).then(() => {
+        assert.equal(ctx.status, 503);
+      });
+    });
+
+    it('rejects invalid header options when created', () => {
+      assert.throws(() => middleware.koa(fakeClient(ALLOWED), { headers: { format: 'bogus' } }),
+        /Invalid header format/);
+    });
+
+    it('rethrows unexpected errors', () => {
+      const client = fakeClient(new Error('Invalid operation'));
+
+      return middleware.koa(client)(fakeContext(), () => {}).then(() => {
+        throw new Error('Expected rejection');
+      }, (err) => {
+        assert.equal(err.message, 'Invalid operation');
+      });
+    });
+
+  });
+
+});
@@ -0,0 +1,138 @@
+'use strict';
+
+const assert = require('assert');
+const net = require('net');
+
+const carrier = require('carrier');
+
+const Errors = require('../src/errors');
+const Pool = require('../src/pool');
+const Bluebird = require('bluebird');
+
+describe('src/pool', () => {
+
+  // Fake server.
+  var server;
+
+  // Server-side connections, in order of arrival.
+  var connections;
+
+  // Test pool.
+  var pool;
+
+  beforeEach((done) => {
+    connections = [];
+
+    // A server that answers each line with the index of the connection it
+    // arrived on, as the current credit.
+    server = net.createServer((conn) => {
+      const index = connections.length;
+      connections.push(conn);
+      carrier.carry(conn, () => {
+        conn.write(`OK true ${index} 0\n`);
+      });
+    });
+
+    server.on('listening', () => {
+      pool = new Pool('', server.address().port, {
+        size: 3,
+        autoReconnect: false,
+        throttleConnect: false
+      });
+      done();
+    });
+
+    server.listen(0);
+  });
+
+  afterEach(() => {
+    pool.close();
+    server.close();
+  });
+
+  it('rejects invalid sizes', () => {
+    assert.throws(() => new Pool('', 1234, { size: 0 }), /Invalid pool size/);
+    [NaN, Infinity, 2.5, '4'].forEach((size) => {
+      assert.throws(() => new Pool('', 1234, { size: size }), Errors.ConfigurationError);
+    });
+  });
+
+  it('emits connected once', (done) => {
+    let numConnected = 0;
+    pool.on('connected', () => {
+      numConnected++;
+    });
+
+    pool.connect();
+
+    setTimeout(() => {
+      assert.equal(numConnected, 1);
+      assert(pool.connected);
+      assert.equal(connections.length, 3);
+      done();
+    }, 50);
+  });
+
+  it('spreads hits across connections', (done) => {
+    pool.connect();
+
+    setTimeout(() => {
+      const promises = [pool.hit({}), pool.hit({}), pool.hit({})];
+      Bluebird.all(promises).then((results) => {
+        const indexes = results.map((result) => result.currentCredit).sort();
+        assert.deepEqual(indexes, [0, 1, 2]);
+        done();
+      }).catch(done);
+    }, 50);
+  });
+
+  it('sends hitMany() commands over a single connection', (done) => {
+    pool.connect();
+
+    setTimeout(() => {
+      pool.hitMany([{}, {}, {}]).then((result) => {
+        const indexes = result.results.map((elem) => elem.currentCredit);
+        assert.equal(indexes[0], indexes[1]);
+        assert.equal(indexes[0], indexes[2]);
+        done();
+      }).catch(done);
+    }, 50);
+  });
+
+  it('avoids disconnected clients', (done) => {
+    pool.connect();
+
+    setTimeout(() => {
+      pool.clients[0].close();
+      pool.clients[1].close();
+
+      const promises = [pool.hit({}), pool.hit({})];
+      Bluebird.all(promises).then((results) => {
+        assert.equal(results[0].currentCredit, results[1].currentCredit);
+        assert(pool.clients[2].connected);
+        done();
+      }).catch(done);
+    }, 50);
+  });
+
+  it('emits disconnected when the last client disconnects', (done) => {
+    pool.connect();
+
+    setTimeout(() => {
+      pool.on('disconnected', () => {
+        assert(!pool.connected);
+        done();
+      });
+      connections.forEach((conn) => conn.destroy());
+    }, 50);
+  });
+
+  it('connects on demand', (done) => {
+    pool.hit({}).then((result) => {
+      assert.equal(result.currentCredit, 0);
+      assert(pool.connected);
+      done();
+    }).catch(done);
+  });
+
+});
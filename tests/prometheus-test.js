@@ -0,0 +1,80 @@
+'use strict';
+
+const assert = require('assert');
+
+const prometheus = require('../src/prometheus');
+
+const STATS = {
+  hits: 5,
+  allowed: 1,
+  denied: 1,
+  fallback: 0,
+  cached: 2,
+  errors: { TimeoutError: 2, BacklogError: 1 },
+  reconnects: 3,
+  pending: 4,
+  inFlight: 6,
+  latencyMillis: {
+    buckets: [{ le: 10, count: 2 }, { le: 100, count: 3 }, { le: Infinity, count: 5 }],
+    sum: 1065,
+    count: 5
+  }
+};
+
+describe('src/prometheus', () => {
+
+  describe('#format', () => {
+
+    it('renders stats', () => {
+      assert.equal(prometheus.format(STATS), [
+        '# HELP divvy_client_hits_total Total number of hits.',
+        '# TYPE divvy_client_hits_total counter',
+        'divvy_client_hits_total 5',
+        '# HELP divvy_client_results_total Total number of hit results, by decision.',
+        '# TYPE divvy_client_results_total counter',
+        'divvy_client_results_total{result="allowed"} 1',
+        'divvy_client_results_total{result="denied"} 1',
+        '# HELP divvy_client_fallback_total Total number of hits answered by the fallback ' +
+          'limiter.',
+        '# TYPE divvy_client_fallback_total counter',
+        'divvy_client_fallback_total 0',
+        '# HELP divvy_client_cached_total Total number of hits answered by the deny cache.',
+        '# TYPE divvy_client_cached_total counter',
+        'divvy_client_cached_total 2',
+        '# HELP divvy_client_errors_total Total number of failed hits, by error class.',
+        '# TYPE divvy_client_errors_total counter',
+        'divvy_client_errors_total{error="BacklogError"} 1',
+        'divvy_client_errors_total{error="TimeoutError"} 2',
+        '# HELP divvy_client_reconnects_total Total number of automatic reconnect attempts.',
+        '# TYPE divvy_client_reconnects_total counter',
+        'divvy_client_reconnects_total 3',
+        '# HELP divvy_client_pending_requests Requests waiting to be sent.',
+        '# TYPE divvy_client_pending_requests gauge',
+        'divvy_client_pending_requests 4',
+        '# HELP divvy_client_in_flight_requests Requests sent and awaiting a response.',
+        '# TYPE divvy_client_in_flight_requests gauge',
+        'divvy_client_in_flight_requests 6',
+        '# HELP divvy_client_hit_duration_seconds Hit latency in seconds.',
+        '# TYPE divvy_client_hit_duration_seconds histogram',
+        'divvy_client_hit_duration_seconds_bucket{le="0.01"} 2',
+        'divvy_client_hit_duration_seconds_bucket{le="0.1"} 3',
+        'divvy_client_hit_duration_seconds_bucket{le="+Inf"} 5',
+        'divvy_client_hit_duration_seconds_sum 1.065',
+        'divvy_client_hit_duration_seconds_count 5',
+        ''
+      ].join('\n'));
+    });
+
+    it('uses the configured prefix and labels', () => {
+      const output = prometheus.format(STATS, {
+        prefix: 'app_divvy',
+        labels: { instance: 'web "1"' }
+      });
+      assert(output.indexOf('app_divvy_hits_total{instance="web \\"1\\""} 5\n') >= 0);
+      assert(output.indexOf(
+        'app_divvy_results_total{instance="web \\"1\\"",result="allowed"} 1\n') >= 0);
+    });
+
+  });
+
+});
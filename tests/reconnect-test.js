@@ -0,0 +1,81 @@
+'use strict';
+
+const assert = require('assert');
+const Reconnect = require('../src/reconnect');
+
+/** Returns the delays for attempts 1 through `count`. */
+function delays(strategy, count) {
+  const result = [];
+  for (let attempt = 1; attempt <= count; attempt++) {
+    result.push(strategy.nextDelay(attempt));
+  }
+  return result;
+}
+
+describe('src/reconnect', () => {
+
+  describe('#fixed', () => {
+
+    it('uses the same delay until giving up', () => {
+      const strategy = Reconnect.fixed({ delayMillis: 500, maxAttempts: 3 });
+      assert.deepEqual(delays(strategy, 4), [500, 500, 500, null]);
+    });
+
+    it('supports unlimited attempts', () => {
+      const strategy = Reconnect.fixed({ maxAttempts: Infinity });
+      assert.equal(strategy.nextDelay(1e6), 1000);
+    });
+
+  });
+
+  describe('#exponential', () => {
+
+    it('grows exponentially up to the max delay', () => {
+      const strategy = Reconnect.exponential({
+        initialDelayMillis: 100,
+        maxDelayMillis: 1000,
+        jitter: 'none'
+      });
+      assert.deepEqual(delays(strategy, 6), [100, 200, 400, 800, 1000, 1000]);
+    });
+
+    it('applies full jitter', () => {
+      const strategy = Reconnect.exponential({
+        initialDelayMillis: 100,
+        maxDelayMillis: 1000,
+        random: () => 0.5
+      });
+      assert.deepEqual(delays(strategy, 6), [50, 100, 200, 400, 500, 500]);
+    });
+
+    it('applies decorrelated jitter', () => {
+      const strategy = Reconnect.exponential({
+        initialDelayMillis: 100,
+        maxDelayMillis: 1000,
+        jitter: 'decorrelated',
+        random: () => 0.5
+      });
+      // Each delay is halfway between the initial delay and 3x the previous.
+      assert.deepEqual(delays(strategy, 4), [200, 350, 575, 913]);
+
+      strategy.reset();
+      assert.equal(strategy.nextDelay(1), 200);
+    });
+
+    it('gives up after the max attempts', () => {
+      const strategy = Reconnect.exponential({ maxAttempts: 2, jitter: 'none' });
+      assert.deepEqual(delays(strategy, 3), [100, 200, null]);
+    });
+
+    it('never gives up by default', () => {
+      const strategy = Reconnect.exponential({ jitter: 'none' });
+      assert.equal(strategy.nextDelay(1000), 30000);
+    });
+
+    it('rejects unknown jitter', () => {
+      assert.throws(() => Reconnect.exponential({ jitter: 'some' }), /Invalid jitter/);
+    });
+
+  });
+
+});
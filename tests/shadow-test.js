@@ -0,0 +1,93 @@
+'use strict';
+
+const assert = require('assert');
+const Client = require('../src/client');
+const ShadowClient = require('../src/shadow');
+
+const DENIED = { isAllowed: false, currentCredit: 0, nextResetSeconds: 60 };
+
+describe('src/shadow', () => {
+  var client;
+  var shadow;
+  var wouldDeny;
+
+  beforeEach(() => {
+    client = new Client.Stub();
+    client.when({ path: '/login' }).respond(DENIED);
+    client.when({ path: '/signup' }).respond(DENIED);
+
+    shadow = new ShadowClient(client, {
+      match: [{ path: '/login' }, (operation) => operation.shadow === 'yes']
+    });
+    wouldDeny = [];
+    shadow.on('wouldDeny', (event) => wouldDeny.push(event));
+  });
+
+  it('allows denied shadowed operations and emits wouldDeny', () => {
+    return shadow.hit({ path: '/login', user: null }).then((result) => {
+      assert.deepEqual(result, {
+        isAllowed: true,
+        currentCredit: 0,
+        nextResetSeconds: 60,
+        enforced: false,
+        shadowResult: DENIED
+      });
+      assert.deepEqual(wouldDeny, [{ operation: { path: '/login' }, result: DENIED }]);
+      assert(client.wasHitWith({ path: '/login' }));
+    });
+  });
+
+  it('matches operations with functions', () => {
+    return shadow.hit({ path: '/signup', shadow: 'yes' }).then((result) => {
+      assert.equal(result.isAllowed, true);
+      assert.equal(result.enforced, false);
+    });
+  });
+
+  it('marks allowed shadowed operations without emitting wouldDeny', () => {
+    client.reset();
+    return shadow.hit({ path: '/login' }).then((result) => {
+      assert.equal(result.isAllowed, true);
+      assert.equal(result.enforced, false);
+      assert.equal(wouldDeny.length, 0);
+    });
+  });
+
+  it('enforces other operations', () => {
+    return shadow.hit({ path: '/signup' }).then((result) => {
+      assert.deepEqual(result, DENIED);
+      assert.equal(wouldDeny.length, 0);
+    });
+  });
+
+  it('shadows all operations by default', () => {
+    shadow = new ShadowClient(client);
+    return shadow.hit({ path: '/signup' }).then((result) => {
+      assert.equal(result.isAllowed, true);
+      assert.equal(result.enforced, false);
+    });
+  });
+
+  it('shadows operations of hitMany() individually', () => {
+    return shadow.hitMany([{ path: '/login' }, { path: '/other' }]).then((result) => {
+      assert.equal(result.isAllowed, true);
+      assert.equal(result.results[0].enforced, false);
+      assert.equal(wouldDeny.length, 1);
+
+      return shadow.hitMany([{ path: '/login' }, { path: '/signup' }]);
+    }).then((result) => {
+      assert.equal(result.isAllowed, false);
+      assert.equal(result.nextResetSeconds, 60);
+    });
+  });
+
+  it('passes errors through', () => {
+    const err = new Error('boom');
+    client.when({ path: '/login' }).reject(err);
+    return shadow.hit({ path: '/login' }).then(() => {
+      throw new Error('Expected rejection');
+    }, (rejected) => {
+      assert.strictEqual(rejected, err);
+    });
+  });
+});
@@ -0,0 +1,134 @@
+'use strict';
+
+const assert = require('assert');
+const net = require('net');
+
+const carrier = require('carrier');
+
+const Errors = require('../src/errors');
+const ShardedClient = require('../src/sharded');
+const Bluebird = require('bluebird');
+
+/** Starts a server that answers every hit with `credit` as the current credit. */
+function startServer(credit) {
+  return new Promise((resolve) => {
+    const server = net.createServer((conn) => {
+      carrier.carry(conn, () => {
+        conn.write(`OK true ${credit} 0\n`);
+      });
+    });
+    server.listen(0, () => resolve(server));
+  });
+}
+
+describe('src/sharded', () => {
+
+  var servers;
+  var endpoints;
+  var client;
+
+  beforeEach(() => {
+    return Bluebird.all([startServer(0), startServer(1)]).then((started) => {
+      servers = started;
+      endpoints = servers.map((server) => `localhost:${server.address().port}`);
+      client = new ShardedClient(endpoints, {
+        autoReconnect: false,
+        throttleConnect: false
+      });
+    });
+  });
+
+  afterEach(() => {
+    client.close();
+    servers.forEach((server) => server.close());
+  });
+
+  it('rejects invalid endpoints', () => {
+    assert.throws(() => new ShardedClient(['localhost']), /Invalid endpoint/);
+  });
+
+  it('routes a bucket to the same server every time', () => {
+    const operation = { method: 'GET', path: '/pantry/cookies' };
+    const endpoint = client.getEndpoint(operation);
+    const expectedCredit = endpoints.indexOf(endpoint);
+
+    return Bluebird.all([client.hit(operation), client.hit(operation)]).then((results) => {
+      assert.equal(results[0].currentCredit, expectedCredit);
+      assert.equal(results[1].currentCredit, expectedCredit);
+    });
+  });
+
+  it('ignores null and undefined values', () => {
+    assert.equal(
+      client.getEndpoint({ method: 'GET', user: null }),
+      client.getEndpoint({ method: 'GET' }));
+  });
+
+  it('hashes on the configured keys only', () => {
+    const keyed = new ShardedClient(endpoints, { keys: ['user'] });
+    for (let i = 0; i < 20; i++) {
+      assert.equal(
+        keyed.getEndpoint({ user: 'jim', path: `/path/${i}` }),
+        keyed.getEndpoint({ user: 'jim' }));
+    }
+  });
+
+  it('uses the remaining servers after one is removed', () => {
+    client.removeServer(endpoints[0]);
+    for (let i = 0; i < 20; i++) {
+      assert.equal(client.getEndpoint({ user: `${i}` }), endpoints[1]);
+    }
+    return client.hit({ user: 'jim' }).then((result) => {
+      assert.equal(result.currentCredit, 1);
+    });
+  });
+
+  it('rejects hits when no servers are configured', () => {
+    const empty = new ShardedClient([]);
+    return empty.hit({}).then(() => {
+      throw new Error('Expected rejection');
+    }, (err) => {
+      assert(err instanceof Errors.DisconnectedError);
+      assert.equal(err.message, 'No servers configured.');
+    });
+  });
+
+  it('splits hitMany across servers and keeps the results in order', () => {
+    const operations = [];
+    for (let i = 0; i < 20; i++) {
+      operations.push({ user: `user-${i}` });
+    }
+    const expectedCredits = operations.map((op) => endpoints.indexOf(client.getEndpoint(op)));
+    assert(expectedCredits.indexOf(0) >= 0 && expectedCredits.indexOf(1) >= 0);
+
+    return client.hitMany(operations).then((result) => {
+      assert.deepEqual(result.results.map((r) => r.currentCredit), expectedCredits);
+      assert.equal(result.isAllowed, true);
+      assert.equal(result.currentCredit, 0);
+    });
+  });
+
+  it('rejects hitMany without servers or operations', () => {
+    const empty = new ShardedClient([]);
+    return Bluebird.all([
+      empty.hitMany([{}]).catch((err) => err),
+      client.hitMany([]).catch((err) => err)
+    ]).then((errors) => {
+      assert(errors[0] instanceof Errors.DisconnectedError);
+      assert(errors[1] instanceof Errors.InvalidOperationError);
+    });
+  });
+
+  it('emits connected with the endpoint', (done) => {
+    const connected = [];
+    client.on('connected', (endpoint) => {
+      connected.push(endpoint);
+      if (connected.length === 2) {
+        assert.deepEqual(connected.sort(), endpoints.slice().sort());
+        done();
+      }
+    });
+    client.connect();
+  });
+
+});
@@ -0,0 +1,64 @@
+'use strict';
+
+const assert = require('assert');
+
+const Errors = require('../src/errors');
+const Stats = require('../src/stats');
+
+describe('src/stats', () => {
+
+  var stats;
+
+  beforeEach(() => {
+    stats = new Stats({ latencyBuckets: [10, 100] });
+  });
+
+  it('starts at zero', () => {
+    assert.deepEqual(stats.snapshot(), {
+      hits: 0,
+      allowed: 0,
+      denied: 0,
+      fallback: 0,
+      cached: 0,
+      errors: {},
+      reconnects: 0,
+      latencyMillis: {
+        buckets: [{ le: 10, count: 0 }, { le: 100, count: 0 }, { le: Infinity, count: 0 }],
+        sum: 0,
+        count: 0
+      }
+    });
+  });
+
+  it('counts results, errors and reconnects', () => {
+    stats.recordResult({ isAllowed: true }, 5);
+    stats.recordResult({ isAllowed: false, source: 'fallback' }, 50);
+    stats.recordResult({ isAllowed: false, source: 'cache' }, 0);
+    stats.recordError(new Errors.TimeoutError('Timeout'), 500);
+    stats.recordError(new Errors.TimeoutError('Timeout'), 500);
+    stats.recordError(new Error('Oops'), 10);
+    stats.recordReconnect();
+
+    assert.deepEqual(stats.snapshot(), {
+      hits: 6,
+      allowed: 1,
+      denied: 2,
+      fallback: 1,
+      cached: 1,
+      errors: { TimeoutError: 2, Error: 1 },
+      reconnects: 1,
+      latencyMillis: {
+        buckets: [{ le: 10, count: 3 }, { le: 100, count: 4 }, { le: Infinity, count: 6 }],
+        sum: 1065,
+        count: 6
+      }
+    });
+  });
+
+  it('resets', () => {
+    stats.recordResult({ isAllowed: true }, 5);
+    stats.reset();
+    assert.equal(stats.snapshot().hits, 0);
+  });
+
+});
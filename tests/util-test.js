@@ -1,6 +1,7 @@
 'use strict';
 
 const assert = require('assert');
+const Errors = require('../src/errors');
 const util = require('../src/util');
 
 const VALID_OPERATIONS = [
@@ -52,6 +53,129 @@ describe('src/util', () => {
           `Expected operation ${oper} to be invalid`);
       }
     });
+
+    it('throws InvalidOperationError', () => {
+      assert.throws(() => util.operationToString({ path: '/a b' }), (err) => {
+        return err instanceof Errors.InvalidOperationError &&
+          err.message === 'Invalid operation value for key "path": "/a b"';
+      });
+      assert.throws(() => util.operationToString({ path: {} }), Errors.InvalidOperationError);
+    });
+
+    it('rejects unknown encodings', () => {
+      assert.throws(() => util.operationToString({}, { encoding: 'rot13' }),
+        /Unknown operation encoding/);
+    });
+
+    it('escapes quotes and backslashes with the escape encoding', () => {
+      const options = { encoding: 'escape' };
+      assert.equal(util.operationToString({ 'user agent': 'say "hi" \\o/' }, options),
+        '"user agent"="say \\"hi\\" \\\\o/"');
+      assert.equal(util.operationToString({ a: '' }, options), '"a"=""');
+      assert.throws(() => util.operationToString({ a: 'line\nbreak' }, options),
+        Errors.InvalidOperationError);
+    });
+
+    it('percent-encodes only values that need it', () => {
+      const options = { encoding: 'percent' };
+      assert.equal(util.operationToString({ a: '/ok', b: '/a b' }, options),
+        '"a"="/ok" "b"="%2Fa%20b"');
+      assert.throws(() => util.operationToString({ a: '' }, options),
+        Errors.InvalidOperationError);
+    });
+
+    it('rejects values the percent encoding cannot encode', () => {
+      assert.throws(() => util.operationToString({ a: 'x \uD800' }, { encoding: 'percent' }),
+        Errors.InvalidOperationError);
+    });
+
+    it('percent-encodes values containing percent signs', () => {
+      const options = { encoding: 'percent' };
+      assert.equal(util.operationToString({ p: '100%' }, options), '"p"="100%25"');
+      assert.notEqual(util.operationToString({ p: '/a b' }, options),
+        util.operationToString({ p: '%2Fa%20b' }, options));
+    });
+
+    it('hashes only values that need it', () => {
+      const options = { encoding: 'hash' };
+      const str = util.operationToString({ a: '/ok', b: 'a "b"' }, options);
+      assert(/^"a"="\/ok" "b"="sha256:[0-9a-f]{32}"$/.test(str), str);
+      assert.equal(util.operationToString({ b: 'a "b"' }, options),
+        util.operationToString({ b: 'a "b"' }, options));
+    });
+
+    it('hashes values that look hashed', () => {
+      const options = { encoding: 'hash' };
+      const hashed = util.operationToString({ b: 'a "b"' }, options);
+      const literal = hashed.replace(/^"b"="(.*)"$/, '$1');
+      const str = util.operationToString({ b: literal }, options);
+      assert(/^"b"="sha256:[0-9a-f]{32}"$/.test(str), str);
+      assert.notEqual(str, hashed);
+    });
+  });
+
+  describe('#stringToOperation', () => {
+    it('parses serialized operations', () => {
+      assert.deepEqual(util.stringToOperation(''), {});
+      assert.deepEqual(util.stringToOperation('"hello"="StLouis"'), { hello: 'StLouis' });
+      assert.deepEqual(util.stringToOperation('"a"="1" "b"="2"'), { a: '1', b: '2' });
+    });
+
+    it('round-trips operationToString', () => {
+      for (let oper of VALID_OPERATIONS) {
+        assert.deepEqual(util.stringToOperation(util.operationToString(oper)), oper);
+      }
+    });
+
+    it('decodes the escape encoding', () => {
+      const options = { encoding: 'escape' };
+      const oper = { 'user agent': 'say "hi" \\o/', a: '' };
+      assert.deepEqual(
+        util.stringToOperation(util.operationToString(oper, options), options), oper);
+    });
+
+    it('returns null for malformed operations', () => {
+      assert.equal(util.stringToOperation('hello'), null);
+      assert.equal(util.stringToOperation('"a"="1"x'), null);
+      assert.equal(util.stringToOperation('"a"="1""b"="2"'), null);
+    });
+  });
+
+  describe('#operationMatches', () => {
+    it('matches subsets', () => {
+      assert(util.operationMatches({}, { method: 'GET' }));
+      assert(util.operationMatches({ method: 'GET' }, { method: 'GET', path: '/' }));
+      assert(!util.operationMatches({ method: 'GET' }, { method: 'POST', path: '/' }));
+      assert(!util.operationMatches({ method: 'GET' }, { path: '/' }));
+    });
+
+    it('matches wildcards', () => {
+      assert(util.operationMatches({ path: '/pantry/*' }, { path: '/pantry/cookies' }));
+      assert(util.operationMatches({ path: '*' }, { path: '/anything' }));
+      assert(!util.operationMatches({ path: '/pantry/*' }, { path: '/fridge/milk' }));
+      assert(!util.operationMatches({ path: '/a.c' }, { path: '/abc' }));
+    });
+
+    it('compares numbers as strings', () => {
+      assert(util.operationMatches({ count: '1' }, { count: 1 }));
+      assert(util.operationMatches({ count: 1 }, { count: '1' }));
+    });
+  });
+
+  describe('#aggregateResults', () => {
+    it('combines results', () => {
+      const results = [
+        { isAllowed: true, currentCredit: 5, nextResetSeconds: 10 },
+        { isAllowed: false, currentCredit: 0, nextResetSeconds: 60 },
+        { isAllowed: true, currentCredit: 99, nextResetSeconds: 1 }
+      ];
+      assert.deepEqual(util.aggregateResults(results), {
+        results: results,
+        isAllowed: false,
+        currentCredit: 0,
+        nextResetSeconds: 60
+      });
+    });
   });
 
   describe('#removeNullOrUndefinedKeys', () => {